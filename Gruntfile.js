@@ -59,7 +59,7 @@ module.exports = (grunt) => {
                         }
                     ]
                 },
-                src: ['test/*_test.js']
+                src: ['test/*_test.js', 'test/node/*_test.js']
             }
         },
         grizzly: {
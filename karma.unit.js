@@ -1,2 +1,2 @@
-const testsContext = require.context('./test', true, /_test\.js$/);
+const testsContext = require.context('./test', false, /_test\.js$/);
 testsContext.keys().forEach(testsContext);
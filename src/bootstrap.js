@@ -0,0 +1,165 @@
+// Copyright (C) 2007-2017, GoodData(R) Corporation. All rights reserved.
+import { get, mapValues, omit } from 'lodash';
+import * as defaultXhr from './xhr';
+
+/**
+ * Bootstrap resource describes current user, project and their settings. The resource
+ * is fetched once (per project) and cached until `clearCache` is called - SDK clears it
+ * on login, logout and changes of project settings.
+ *
+ * @class bootstrap
+ * @module bootstrap
+ */
+
+const BOOTSTRAP_URI = '/gdc/app/account/bootstrap';
+
+/**
+ * Creates bootstrap module bound to given xhr module
+ *
+ * @method createModule
+ * @param {Object} xhr xhr module of SDK instance
+ * @return {Object} bootstrap module
+ */
+export function createModule(xhr) {
+    let cache = {};
+
+    /**
+     * Gets bootstrap resource, failed requests are not cached
+     *
+     * @method getBootstrap
+     * @param {String} projectId project the resource is fetched for, current project of the user by default
+     * @return {Promise} promise resolved with content of `bootstrapResource`
+     */
+    function getBootstrap(projectId) {
+        const key = projectId || '';
+
+        if (!cache[key]) {
+            const uri = projectId ? `${BOOTSTRAP_URI}?projectId=${projectId}` : BOOTSTRAP_URI;
+            const request = xhr.get(uri).then(result => result.bootstrapResource);
+
+            cache = { ...cache, [key]: request };
+            request.catch(() => {
+                if (cache[key] === request) {
+                    cache = omit(cache, key);
+                }
+            });
+        }
+
+        return cache[key];
+    }
+
+    /**
+     * Forgets all cached bootstrap resources
+     *
+     * @method clearCache
+     */
+    function clearCache() {
+        cache = {};
+    }
+
+    /**
+     * @method getCurrentUser
+     * @param {String} projectId
+     * @return {Promise} promise resolved with
+     *                   `{ login, loginMD5, firstName, lastName, organizationName, profileUri }`
+     */
+    function getCurrentUser(projectId) {
+        return getBootstrap(projectId).then(br => ({
+            login: get(br, 'accountSetting.login'),
+            loginMD5: get(br, 'current.loginMD5'),
+            firstName: get(br, 'accountSetting.firstName'),
+            lastName: get(br, 'accountSetting.lastName'),
+            organizationName: get(br, 'settings.organizationName'),
+            profileUri: get(br, 'accountSetting.links.self')
+        }));
+    }
+
+    /**
+     * @method getCurrentProject
+     * @param {String} projectId
+     * @return {Promise} promise resolved with project or null when the user has no current project
+     */
+    function getCurrentProject(projectId) {
+        return getBootstrap(projectId).then(br => get(br, 'current.project') || null);
+    }
+
+    /**
+     * @method getCurrentProjectId
+     * @return {Promise} promise resolved with identifier of current project or null
+     */
+    function getCurrentProjectId() {
+        return getCurrentProject().then(project => (project ? project.links.self.split('/').pop() : null));
+    }
+
+    /**
+     * @method getTimezone
+     * @param {String} projectId
+     * @return {Promise} promise resolved with `{ id, displayName, currentOffsetMs }`
+     */
+    function getTimezone(projectId) {
+        return getBootstrap(projectId).then(br => get(br, 'current.timezone'));
+    }
+
+    /**
+     * @method getFeatureFlags
+     * @param {String} projectId
+     * @return {Promise} promise resolved with feature flags effective for the user and project
+     */
+    function getFeatureFlags(projectId) {
+        return getBootstrap(projectId).then(br => get(br, 'current.featureFlags', {}));
+    }
+
+    /**
+     * @method getOrganizationSettings
+     * @return {Promise} promise resolved with settings of user's organization (e.g. `organizationName`)
+     */
+    function getOrganizationSettings() {
+        return getBootstrap().then(br => get(br, 'settings', {}));
+    }
+
+    /**
+     * @method getWhiteLabeling
+     * @return {Promise} promise resolved with white-labeling settings of the organization
+     */
+    function getWhiteLabeling() {
+        return getBootstrap().then(br => get(br, 'settings.whiteLabeling', {}));
+    }
+
+    /**
+     * @method getPermissions
+     * @param {String} projectId
+     * @return {Promise} promise resolved with map of user's permissions in the project to booleans,
+     *                   e.g. `{ canCreateReport: true, canManageProject: false }`
+     */
+    function getPermissions(projectId) {
+        return getBootstrap(projectId).then(br =>
+            mapValues(get(br, 'current.projectPermissions.permissions', {}), value => value === true || value === '1')
+        );
+    }
+
+    return {
+        getBootstrap,
+        clearCache,
+        getCurrentUser,
+        getCurrentProject,
+        getCurrentProjectId,
+        getTimezone,
+        getFeatureFlags,
+        getOrganizationSettings,
+        getWhiteLabeling,
+        getPermissions
+    };
+}
+
+export const {
+    getBootstrap,
+    clearCache,
+    getCurrentUser,
+    getCurrentProject,
+    getCurrentProjectId,
+    getTimezone,
+    getFeatureFlags,
+    getOrganizationSettings,
+    getWhiteLabeling,
+    getPermissions
+} = createModule(defaultXhr);
@@ -1,5 +1,5 @@
 import { get, find, omit, cloneDeep } from 'lodash';
-import { post, parseJSON } from './xhr';
+import * as defaultXhr from './xhr';
 import { mdToExecutionConfiguration } from './execution';
 
 const REQUEST_DEFAULTS = {
@@ -79,58 +79,77 @@ const getRequiredDataSets = (options) => {
     return { requiredDataSets: { type: 'PRODUCTION' } };
 };
 
-function loadCatalog(projectId, catalogRequest) {
-    const uri = `/gdc/internal/projects/${projectId}/loadCatalog`;
+/**
+ * Creates catalogue module bound to given xhr module
+ *
+ * @method createModule
+ * @param {Object} xhr xhr module of SDK instance
+ * @return {Object} catalogue module
+ */
+export function createModule(xhr) {
+    function loadCatalog(projectId, catalogRequest) {
+        const uri = `/gdc/internal/projects/${projectId}/loadCatalog`;
 
-    return post(uri, { data: { catalogRequest } })
-        .then(parseJSON)
-        .then(data => data.catalogResponse);
-}
+        return xhr.post(uri, { data: { catalogRequest } })
+            .then(xhr.parseJSON)
+            .then(data => data.catalogResponse);
+    }
 
-export function loadItems(projectId, options = {}) {
-    const request = omit({
-        ...REQUEST_DEFAULTS,
-        ...options,
-        ...getRequiredDataSets(options)
-    }, ['dataSetIdentifier', 'returnAllDateDataSets']);
-
-    let bucketItems = get(cloneDeep(options), 'bucketItems.buckets');
-    if (bucketItems) {
-        bucketItems = bucketItemsToExecConfig(bucketItems);
-        return loadCatalog(
-            projectId,
-            {
-                ...request,
-                bucketItems
-            }
-        );
+    function loadItems(projectId, options = {}) {
+        const request = omit({
+            ...REQUEST_DEFAULTS,
+            ...options,
+            ...getRequiredDataSets(options)
+        }, ['dataSetIdentifier', 'returnAllDateDataSets']);
+
+        let bucketItems = get(cloneDeep(options), 'bucketItems.buckets');
+        if (bucketItems) {
+            bucketItems = bucketItemsToExecConfig(bucketItems);
+            return loadCatalog(
+                projectId,
+                {
+                    ...request,
+                    bucketItems
+                }
+            );
+        }
+
+        return loadCatalog(projectId, request);
     }
 
-    return loadCatalog(projectId, request);
-}
+    function requestDateDataSets(projectId, dateDataSetsRequest) {
+        const uri = `/gdc/internal/projects/${projectId}/loadDateDataSets`;
 
-function requestDateDataSets(projectId, dateDataSetsRequest) {
-    const uri = `/gdc/internal/projects/${projectId}/loadDateDataSets`;
+        return xhr.post(uri, { data: { dateDataSetsRequest } })
+            .then(xhr.parseJSON)
+            .then(data => data.dateDataSetsResponse);
+    }
 
-    return post(uri, { data: { dateDataSetsRequest } })
-        .then(parseJSON)
-        .then(data => data.dateDataSetsResponse);
-}
+    function loadDateDataSets(projectId, options) {
+        let bucketItems = get(cloneDeep(options), 'bucketItems.buckets');
 
-export function loadDateDataSets(projectId, options) {
-    let bucketItems = get(cloneDeep(options), 'bucketItems.buckets');
+        if (bucketItems) {
+            bucketItems = bucketItemsToExecConfig(bucketItems, { removeDateItems: true });
+        }
 
-    if (bucketItems) {
-        bucketItems = bucketItemsToExecConfig(bucketItems, { removeDateItems: true });
-    }
+        const request = omit({
+            ...LOAD_DATE_DATASET_DEFAULTS,
+            ...REQUEST_DEFAULTS,
+            ...options,
+            ...getRequiredDataSets(options),
+            bucketItems
+        }, ['filter', 'types', 'paging', 'dataSetIdentifier', 'returnAllDateDataSets', 'returnAllRelatedDateDataSets']);
 
-    const request = omit({
-        ...LOAD_DATE_DATASET_DEFAULTS,
-        ...REQUEST_DEFAULTS,
-        ...options,
-        ...getRequiredDataSets(options),
-        bucketItems
-    }, ['filter', 'types', 'paging', 'dataSetIdentifier', 'returnAllDateDataSets', 'returnAllRelatedDateDataSets']);
+        return requestDateDataSets(projectId, request);
+    }
 
-    return requestDateDataSets(projectId, request);
+    return {
+        loadItems,
+        loadDateDataSets
+    };
 }
+
+export const {
+    loadItems,
+    loadDateDataSets
+} = createModule(defaultXhr);
@@ -10,37 +10,85 @@
  * @module config
  * @class config
  */
+import { InvalidArgumentError } from './errors';
 
 const URL_REGEXP = '(?:(https)://+|(www\\.)?)\\w[:;,\\.?\\[\\]\\w/~%&=+#-@!]*';
+const LOCAL_URL_REGEXP = /^http:\/\/(?:localhost|127\.0\.0\.1)(?::\d+)?(?=\/|$)/;
 
 // TODO - fix this
 export let domain; // eslint-disable-line import/no-mutable-exports
 
 /**
- * Sets custom domain. Parameter is url which has always to be https://
- * (if you don't provide it, we will do it for you).
+ * Validates and normalizes custom domain. Domain has always to be https://
+ * (if you don't provide it, we will do it for you). The only exception is
+ * http:// on localhost used for development, e.g. with the mock server.
  *
  * RegExp inspired taken from
  * https://github.com/jarib/google-closure-library/blob/master/closure/goog/string/linkify.js
  * @param {String|null} d valid domain starting with https:// or null for removing
- * @method setCustomDomain
+ * @return {String|undefined} sanitized domain or undefined for null
+ * @method sanitizeDomain
+ * @private
  */
-export function setCustomDomain(d) {
+export function sanitizeDomain(d) {
     const sanitizedDomain = d || '';
     const link = sanitizedDomain.match(URL_REGEXP);
 
     if (d === null) {
-        domain = undefined;
-        return;
+        return undefined;
     }
 
     if (!link) {
-        throw new Error(`${d} is not a valid url`);
+        throw new InvalidArgumentError(`${d} is not a valid url`);
+    }
+
+    const localLink = sanitizedDomain.trim().match(LOCAL_URL_REGEXP);
+    if (localLink) {
+        return localLink[0];
     }
 
     // ensure https:// prefix
     // and strip possible trailing /
-    domain = `https://${link[0]
+    return `https://${link[0]
              .replace(/^https:\/\//, '')
              .replace(/\/$/, '')}`;
 }
+
+/**
+ * Sets custom domain. Parameter is url which has always to be https://
+ * (if you don't provide it, we will do it for you).
+ *
+ * @param {String|null} d valid domain starting with https:// or null for removing
+ * @method setCustomDomain
+ */
+export function setCustomDomain(d) {
+    domain = sanitizeDomain(d);
+}
+
+/**
+ * @method getDomain
+ * @return {String|undefined} custom domain
+ */
+export const getDomain = () => domain;
+
+/**
+ * Creates config module of isolated SDK instance. Configuration is kept
+ * in given storage object which is shared with other modules of the instance.
+ *
+ * @method createModule
+ * @param {Object} configStorage
+ * @return {Object} config module
+ */
+export function createModule(configStorage) {
+    /* eslint-disable no-param-reassign */
+    return {
+        setCustomDomain(d) {
+            configStorage.domain = sanitizeDomain(d);
+        },
+
+        getDomain() {
+            return configStorage.domain;
+        }
+    };
+    /* eslint-enable no-param-reassign */
+}
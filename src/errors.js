@@ -0,0 +1,242 @@
+// Copyright (C) 2007-2017, GoodData(R) Corporation. All rights reserved.
+import { get, isString } from 'lodash';
+import { createResponse } from './utils/fetch';
+
+/**
+ * Error types used by SDK. Errors are defined as plain constructor functions
+ * so `instanceof` checks work also in transpiled code.
+ *
+ *     GdcError
+ *      ├── HttpError
+ *      │    ├── UnauthorizedError
+ *      │    ├── NotFoundError
+ *      │    └── ValidationError
+ *      ├── InvalidArgumentError
+ *      ├── ObjectNotFoundError
+ *      ├── TimeoutError
+ *      └── CancelledError
+ *
+ * Only errors created from server response are HttpErrors with `status` and `response`.
+ *
+ * @module errors
+ * @class errors
+ */
+
+function extendError(ErrorType, Parent, name) {
+    ErrorType.prototype = Object.create(Parent.prototype, { // eslint-disable-line no-param-reassign
+        constructor: { value: ErrorType, writable: true, configurable: true }
+    });
+    ErrorType.prototype.name = name; // eslint-disable-line no-param-reassign
+}
+
+/**
+ * Base class of all SDK errors
+ *
+ * @class GdcError
+ * @param {String} message
+ */
+export function GdcError(message) {
+    this.message = message;
+
+    if (Error.captureStackTrace) {
+        Error.captureStackTrace(this, this.constructor);
+    } else {
+        this.stack = new Error(message).stack;
+    }
+}
+extendError(GdcError, Error, 'GdcError');
+
+/**
+ * Formats GoodData error message by substituting `%s` and `%d` placeholders with parameters
+ *
+ * @method formatErrorMessage
+ * @param {String} message
+ * @param {Array} parameters
+ * @return {String}
+ */
+export function formatErrorMessage(message, parameters = []) {
+    let index = 0;
+
+    return message.replace(/%[sd]/g, (placeholder) => {
+        if (index >= parameters.length) {
+            return placeholder;
+        }
+
+        const parameter = parameters[index];
+        index += 1;
+        return parameter;
+    });
+}
+
+/**
+ * Server responded with error status. Parsed GoodData error payload
+ * (`{ error: { message, parameters, errorClass, component, requestId } }`) is decoded
+ * into error properties.
+ *
+ * @class HttpError
+ * @param {String} message fallback message used when payload does not contain any
+ * @param {Response} response
+ * @param {Object|String} body parsed JSON body of the response or its text
+ */
+export function HttpError(message, response, body) {
+    const gdcError = get(body, 'error', {});
+    const formattedMessage = isString(gdcError.message) ?
+        formatErrorMessage(gdcError.message, gdcError.parameters) :
+        message;
+
+    GdcError.call(this, formattedMessage);
+
+    this.response = response;
+    this.status = get(response, 'status');
+    this.statusText = get(response, 'statusText');
+    this.body = body;
+    this.errorClass = gdcError.errorClass;
+    this.component = gdcError.component;
+    this.parameters = gdcError.parameters;
+    this.requestId = gdcError.requestId ||
+        (response && response.headers ? response.headers.get('X-GDC-REQUEST') : undefined);
+}
+extendError(HttpError, GdcError, 'HttpError');
+
+/**
+ * User is not authenticated (HTTP 401)
+ *
+ * @class UnauthorizedError
+ */
+export function UnauthorizedError(message = 'Unauthorized', response, body) {
+    HttpError.call(this, message, response, body);
+}
+extendError(UnauthorizedError, HttpError, 'UnauthorizedError');
+
+/**
+ * Requested resource or object does not exist (HTTP 404)
+ *
+ * @class NotFoundError
+ */
+export function NotFoundError(message = 'Not Found', response, body) {
+    HttpError.call(this, message, response, body);
+}
+extendError(NotFoundError, HttpError, 'NotFoundError');
+
+/**
+ * Request is not valid (HTTP 400)
+ *
+ * @class ValidationError
+ */
+export function ValidationError(message = 'Bad Request', response, body) {
+    HttpError.call(this, message, response, body);
+}
+extendError(ValidationError, HttpError, 'ValidationError');
+
+/**
+ * Function was called with argument SDK cannot handle (e.g. invalid domain or unknown object)
+ *
+ * @class InvalidArgumentError
+ * @param {String} message
+ */
+export function InvalidArgumentError(message = 'Invalid argument') {
+    GdcError.call(this, message);
+}
+extendError(InvalidArgumentError, GdcError, 'InvalidArgumentError');
+
+/**
+ * Object looked up by SDK does not exist although the lookup request succeeded
+ * (e.g. unknown identifier)
+ *
+ * @class ObjectNotFoundError
+ * @param {String} message
+ */
+export function ObjectNotFoundError(message = 'Object not found') {
+    GdcError.call(this, message);
+}
+extendError(ObjectNotFoundError, GdcError, 'ObjectNotFoundError');
+
+/**
+ * Request was cancelled by aborting its signal
+ *
+ * @class CancelledError
+ * @param {String} message
+ */
+export function CancelledError(message = 'Request was cancelled') {
+    GdcError.call(this, message);
+}
+extendError(CancelledError, GdcError, 'CancelledError');
+
+/**
+ * Operation did not finish in time, e.g. polling exceeded its limits
+ *
+ * @class TimeoutError
+ * @param {String} message
+ * @param {Object} details additional properties of the error (e.g. url, attempts, elapsed)
+ */
+export function TimeoutError(message = 'Operation timed out', details = {}) {
+    GdcError.call(this, message);
+    Object.assign(this, details);
+}
+extendError(TimeoutError, GdcError, 'TimeoutError');
+
+const ERRORS_BY_STATUS = {
+    400: ValidationError,
+    401: UnauthorizedError,
+    404: NotFoundError
+};
+
+function parseBody(text) {
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        return text || undefined;
+    }
+}
+
+/**
+ * Reads body of the response and recreates the response, so it stays readable. Body is not read
+ * from clone - cloned body of node-fetch response stops receiving data when the original is not read.
+ *
+ * @method readResponse
+ * @private
+ */
+function readResponse(response) {
+    if (!response || response.bodyUsed || typeof response.text !== 'function') {
+        return Promise.resolve({ response, body: undefined });
+    }
+
+    return response.text().then(text => ({
+        response: createResponse(text, {
+            status: response.status,
+            statusText: response.statusText,
+            headers: response.headers
+        }),
+        body: parseBody(text)
+    }), () => ({ response, body: undefined }));
+}
+
+/**
+ * Creates error of type matching status of the response with decoded response body.
+ * Body of the response is read, error carries readable copy of the response.
+ *
+ * @method createHttpError
+ * @param {Response} response
+ * @return {Promise} promise resolved with HttpError (or its subtype)
+ */
+export function createHttpError(response) {
+    const ErrorType = ERRORS_BY_STATUS[response.status] || HttpError;
+
+    return readResponse(response).then(({ response: readable, body }) =>
+        new ErrorType(response.statusText, readable, body)
+    );
+}
+
+/**
+ * @method rejectWithHttpError
+ * @param {Response} response
+ * @return {Promise} promise rejected with HttpError created by `createHttpError`
+ */
+export const rejectWithHttpError = response => createHttpError(response).then(error => Promise.reject(error));
+
+/**
+ * @method isCancelledError
+ * @param {Error} error
+ * @return {Boolean} true if error was caused by request cancellation
+ */
+export const isCancelledError = error => error instanceof CancelledError;
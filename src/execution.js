@@ -19,12 +19,7 @@ import {
     omit
 } from 'lodash';
 
-import {
-    ajax,
-    post,
-    get as xhrGet,
-    parseJSON
-} from './xhr';
+import * as defaultXhr from './xhr';
 
 import Rules from './utils/rules';
 import { sortDefinitions } from './utils/definitions';
@@ -56,86 +51,6 @@ const wrapMeasureIndexesFromMappings = (metricMappings, headers) => {
  * @module execution
  */
 
-/**
- * For the given projectId it returns table structure with the given
- * elements in column headers.
- *
- * @method getData
- * @param {String} projectId - GD project identifier
- * @param {Array} columns - An array of attribute or metric identifiers.
- * @param {Object} executionConfiguration - Execution configuration - can contain for example
- *                 property "filters" containing execution context filters
- *                 property "where" containing query-like filters
- *                 property "orderBy" contains array of sorted properties to order in form
- *                      [{column: 'identifier', direction: 'asc|desc'}]
- * @param {Object} settings - Set "extended" to true to retrieve the result
- *                            including internal attribute IDs (useful to construct filters
- *                            for subsequent report execution requests).
- *                             Supports additional settings accepted by the underlying
- *                             xhr.ajax() calls
- *
- * @return {Object} Structure with `headers` and `rawData` keys filled with values from execution.
- */
-export function getData(projectId, columns, executionConfiguration = {}, settings = {}) {
-    const executedReport = {
-        isLoaded: false
-    };
-
-    // Extended result exposes internal attribute element IDs which can
-    // be used when constructing executionConfiguration filters for
-    // subsequent report execution requests
-    const resultKey = settings.extended ? 'extendedTabularDataResult' : 'tabularDataResult';
-    // Create request and result structures
-    const request = {
-        execution: { columns }
-    };
-    // enrich configuration with supported properties such as
-    // where clause with query-like filters or execution context filters
-    ['filters', 'where', 'orderBy', 'definitions'].forEach((property) => {
-        if (executionConfiguration[property]) {
-            request.execution[property] = executionConfiguration[property];
-        }
-    });
-
-    // Execute request
-    return post(`/gdc/internal/projects/${projectId}/experimental/executions`, {
-        body: JSON.stringify(request)
-    })
-    .then(parseJSON)
-    .then((result) => {
-        executedReport.headers = wrapMeasureIndexesFromMappings(
-            get(executionConfiguration, 'metricMappings'), result.executionResult.headers);
-
-        // Start polling on url returned in the executionResult for tabularData
-        return ajax(result.executionResult[resultKey], settings);
-    })
-    .then((r) => {
-        if (r.status === 204) {
-            return {
-                status: r.status,
-                result: ''
-            };
-        }
-
-        return r.json().then((result) => {
-            return {
-                status: r.status,
-                result
-            };
-        });
-    })
-    .then((r) => {
-        const { result, status } = r;
-
-        return Object.assign({}, executedReport, {
-            rawData: get(result, `${resultKey}.values`, []),
-            warnings: get(result, `${resultKey}.warnings`, []),
-            isLoaded: true,
-            isEmpty: status === 204
-        });
-    });
-}
-
 const MAX_TITLE_LENGTH = 255;
 const getMetricTitle = (suffix, title) => {
     const maxLength = MAX_TITLE_LENGTH - suffix.length;
@@ -514,30 +429,132 @@ export const mdToExecutionConfiguration = (mdObj, options = {}) => {
     };
 };
 
-const getOriginalMetricFormats = (mdObj) => {
-    // for metrics with showPoP or measureFilters.length > 0 roundtrip for original metric format
-    return Promise.all(map(
-        map(get(mdObj, 'buckets.measures'), ({ measure }) => measure),
-        (measure) => {
-            if (measure.showPoP === true || measure.measureFilters.length > 0) {
-                return xhrGet(measure.objectUri).then((obj) => {
-                    return {
-                        ...measure,
-                        format: get(obj, 'metric.content.format', measure.format)
-                    };
-                });
+/**
+ * Creates execution module bound to given xhr module
+ *
+ * @method createModule
+ * @param {Object} xhr xhr module of SDK instance
+ * @return {Object} execution module
+ */
+export function createModule(xhr) {
+    /**
+     * For the given projectId it returns table structure with the given
+     * elements in column headers.
+     *
+     * @method getData
+     * @param {String} projectId - GD project identifier
+     * @param {Array} columns - An array of attribute or metric identifiers.
+     * @param {Object} executionConfiguration - Execution configuration - can contain for example
+     *                 property "filters" containing execution context filters
+     *                 property "where" containing query-like filters
+     *                 property "orderBy" contains array of sorted properties to order in form
+     *                      [{column: 'identifier', direction: 'asc|desc'}]
+     * @param {Object} settings - Set "extended" to true to retrieve the result
+     *                            including internal attribute IDs (useful to construct filters
+     *                            for subsequent report execution requests).
+     *                             Supports additional settings accepted by the underlying
+     *                             xhr.ajax() calls, e.g. "signal" to cancel the execution
+     *                             including its polling
+     *
+     * @return {Object} Structure with `headers` and `rawData` keys filled with values from execution.
+     */
+    function getData(projectId, columns, executionConfiguration = {}, settings = {}) {
+        const executedReport = {
+            isLoaded: false
+        };
+
+        // Extended result exposes internal attribute element IDs which can
+        // be used when constructing executionConfiguration filters for
+        // subsequent report execution requests
+        const resultKey = settings.extended ? 'extendedTabularDataResult' : 'tabularDataResult';
+        // Create request and result structures
+        const request = {
+            execution: { columns }
+        };
+        // enrich configuration with supported properties such as
+        // where clause with query-like filters or execution context filters
+        ['filters', 'where', 'orderBy', 'definitions'].forEach((property) => {
+            if (executionConfiguration[property]) {
+                request.execution[property] = executionConfiguration[property];
+            }
+        });
+
+        // Execute request
+        return xhr.post(`/gdc/internal/projects/${projectId}/experimental/executions`, {
+            signal: settings.signal,
+            body: JSON.stringify(request)
+        })
+        .then(xhr.parseJSON)
+        .then((result) => {
+            executedReport.headers = wrapMeasureIndexesFromMappings(
+                get(executionConfiguration, 'metricMappings'), result.executionResult.headers);
+
+            // Start polling on url returned in the executionResult for tabularData
+            return xhr.ajax(result.executionResult[resultKey], settings);
+        })
+        .then((r) => {
+            if (r.status === 204) {
+                return {
+                    status: r.status,
+                    result: ''
+                };
             }
 
-            return Promise.resolve(measure);
-        }
-    ));
-};
+            return r.json().then((result) => {
+                return {
+                    status: r.status,
+                    result
+                };
+            });
+        })
+        .then((r) => {
+            const { result, status } = r;
+
+            return Object.assign({}, executedReport, {
+                rawData: get(result, `${resultKey}.values`, []),
+                warnings: get(result, `${resultKey}.warnings`, []),
+                isLoaded: true,
+                isEmpty: status === 204
+            });
+        });
+    }
 
-export const getDataForVis = (projectId, mdObj, settings) => {
-    return getOriginalMetricFormats(mdObj).then((measures) => {
-        const metadata = mdObj;
-        metadata.buckets.measures = map(measures, measure => ({ measure }));
-        const { columns, ...executionConfiguration } = mdToExecutionConfiguration(mdObj);
-        return getData(projectId, columns, executionConfiguration, settings);
-    });
-};
+    const getOriginalMetricFormats = (mdObj, settings = {}) => {
+        // for metrics with showPoP or measureFilters.length > 0 roundtrip for original metric format
+        return Promise.all(map(
+            map(get(mdObj, 'buckets.measures'), ({ measure }) => measure),
+            (measure) => {
+                if (measure.showPoP === true || measure.measureFilters.length > 0) {
+                    return xhr.get(measure.objectUri, { signal: settings.signal }).then((obj) => {
+                        return {
+                            ...measure,
+                            format: get(obj, 'metric.content.format', measure.format)
+                        };
+                    });
+                }
+
+                return Promise.resolve(measure);
+            }
+        ));
+    };
+
+    const getDataForVis = (projectId, mdObj, settings) => {
+        return getOriginalMetricFormats(mdObj, settings).then((measures) => {
+            const metadata = mdObj;
+            metadata.buckets.measures = map(measures, measure => ({ measure }));
+            const { columns, ...executionConfiguration } = mdToExecutionConfiguration(mdObj);
+            return getData(projectId, columns, executionConfiguration, settings);
+        });
+    };
+
+    return {
+        getData,
+        getDataForVis,
+        mdToExecutionConfiguration
+    };
+}
+
+export const {
+    getData,
+    getDataForVis
+} = createModule(defaultXhr);
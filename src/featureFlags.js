@@ -0,0 +1,168 @@
+// Copyright (C) 2007-2017, GoodData(R) Corporation. All rights reserved.
+import { get, isPlainObject } from 'lodash';
+import * as defaultXhr from './xhr';
+import * as defaultBootstrap from './bootstrap';
+import { NotFoundError } from './errors';
+
+/**
+ * Feature flags toggle behavior of GoodData applications. Flags are set on four levels,
+ * more specific level overrides less specific one:
+ *
+ *     platform < domain < project < user
+ *
+ * Domain and profile of current user are taken from bootstrap resource.
+ *
+ * @class featureFlags
+ * @module featureFlags
+ */
+
+const PLATFORM_FLAGS_URI = '/gdc/featureFlags';
+
+const getProjectFlagsUri = projectId => `/gdc/projects/${projectId}/projectFeatureFlags`;
+
+/**
+ * Converts feature flags resource to map of flag values. Resources either list flags
+ * as `items` of `featureFlag` objects or contain the map directly.
+ *
+ * @method parseFeatureFlags
+ * @private
+ */
+function parseFeatureFlags(result) {
+    const featureFlags = get(result, 'featureFlags', {});
+
+    if (!featureFlags.items && isPlainObject(featureFlags)) {
+        return featureFlags;
+    }
+
+    return featureFlags.items.reduce((flags, { featureFlag }) => ({
+        ...flags,
+        [featureFlag.key]: featureFlag.value
+    }), {});
+}
+
+/**
+ * Creates feature flags module bound to given xhr and bootstrap modules
+ *
+ * @method createModule
+ * @param {Object} xhr xhr module of SDK instance
+ * @param {Object} bootstrap bootstrap module of SDK instance
+ * @return {Object} feature flags module
+ */
+export function createModule(xhr, bootstrap = defaultBootstrap.createModule(xhr)) {
+    // level without any flags set has no resource
+    const getFlags = uri => xhr.get(uri).then(parseFeatureFlags, (err) => {
+        if (err instanceof NotFoundError) {
+            return {};
+        }
+
+        throw err;
+    });
+
+    /**
+     * @method getPlatformFeatureFlags
+     * @return {Promise} promise resolved with map of flags set for whole platform
+     */
+    function getPlatformFeatureFlags() {
+        return getFlags(PLATFORM_FLAGS_URI);
+    }
+
+    /**
+     * @method getDomainFeatureFlags
+     * @return {Promise} promise resolved with map of flags set for domain of current user
+     */
+    function getDomainFeatureFlags() {
+        return bootstrap.getBootstrap().then((br) => {
+            const domainUri = get(br, 'accountSetting.links.domain');
+
+            return domainUri ? getFlags(`${domainUri}/featureFlags`) : {};
+        });
+    }
+
+    /**
+     * @method getProjectFeatureFlags
+     * @param {String} projectId
+     * @return {Promise} promise resolved with map of flags set for the project
+     */
+    function getProjectFeatureFlags(projectId) {
+        return getFlags(getProjectFlagsUri(projectId));
+    }
+
+    /**
+     * @method getUserFeatureFlags
+     * @return {Promise} promise resolved with map of flags set for current user
+     */
+    function getUserFeatureFlags() {
+        return bootstrap.getCurrentUser().then(({ profileUri }) => getFlags(`${profileUri}/featureFlags`));
+    }
+
+    /**
+     * Gets flags of all levels merged by their precedence, see module description
+     *
+     * @method getFeatureFlags
+     * @param {String} projectId project level is skipped when not provided
+     * @return {Promise} promise resolved with map of effective flags
+     */
+    function getFeatureFlags(projectId) {
+        return Promise.all([
+            getPlatformFeatureFlags(),
+            getDomainFeatureFlags(),
+            projectId ? getProjectFeatureFlags(projectId) : {},
+            getUserFeatureFlags()
+        ]).then(levels => Object.assign({}, ...levels));
+    }
+
+    /**
+     * Sets project level flag, rejected with HttpError (403) when user is not allowed to change it
+     *
+     * @method setProjectFeatureFlag
+     * @param {String} projectId
+     * @param {String} key
+     * @param {Boolean|String} value
+     * @return {Promise}
+     */
+    function setProjectFeatureFlag(projectId, key, value) {
+        return xhr.ajax(`${getProjectFlagsUri(projectId)}/${encodeURIComponent(key)}`, {
+            method: 'PUT',
+            body: { featureFlag: { key, value } }
+        }).then(() => {
+            // bootstrap contains effective flags
+            bootstrap.clearCache();
+        });
+    }
+
+    /**
+     * Removes project level flag, value of less specific level takes effect
+     *
+     * @method removeProjectFeatureFlag
+     * @param {String} projectId
+     * @param {String} key
+     * @return {Promise}
+     */
+    function removeProjectFeatureFlag(projectId, key) {
+        return xhr.ajax(`${getProjectFlagsUri(projectId)}/${encodeURIComponent(key)}`, {
+            method: 'DELETE'
+        }).then(() => {
+            bootstrap.clearCache();
+        });
+    }
+
+    return {
+        getPlatformFeatureFlags,
+        getDomainFeatureFlags,
+        getProjectFeatureFlags,
+        getUserFeatureFlags,
+        getFeatureFlags,
+        setProjectFeatureFlag,
+        removeProjectFeatureFlag
+    };
+}
+
+export const {
+    getPlatformFeatureFlags,
+    getDomainFeatureFlags,
+    getProjectFeatureFlags,
+    getUserFeatureFlags,
+    getFeatureFlags,
+    setProjectFeatureFlag,
+    removeProjectFeatureFlag
+} = createModule(defaultXhr, defaultBootstrap);
@@ -0,0 +1,217 @@
+// Copyright (C) 2007-2017, GoodData(R) Corporation. All rights reserved.
+import { isEqual, isFunction, isString } from 'lodash';
+import defaultFetch, { createResponse } from './utils/fetch';
+import { mergeHeaders } from './utils/headers';
+import { GdcError } from './errors';
+
+/**
+ * Record and replay of HTTP traffic for testing without network.
+ *
+ * Recorder wraps fetch and captures every request with its response (including token refreshes
+ * and 202 polling sequences) as JSON-serializable fixtures. Replayer serves recorded responses
+ * by matching method, url and body of requests, responses of repeated requests are served in
+ * recorded order. Binary response bodies (e.g. PDF or XLSX exports) are stored base64 encoded
+ * with `bodyEncoding: 'base64'`. Both provide `fetch` which can be passed to `createSdk` or `setFetch`.
+ *
+ *     const recorder = gooddata.fixtures.createRecorder();
+ *     const sdk = gooddata.createSdk({ fetch: recorder.fetch });
+ *     // ... use sdk
+ *     fs.writeFileSync('fixtures.json', JSON.stringify(recorder.getFixtures()));
+ *
+ *     const replayer = gooddata.fixtures.createReplayer(require('./fixtures.json'));
+ *     const offlineSdk = gooddata.createSdk({ fetch: replayer.fetch });
+ *
+ * @module fixtures
+ * @class fixtures
+ */
+
+const getMethod = settings => ((settings && settings.method) || 'GET').toUpperCase();
+
+function parseBody(body) {
+    if (!isString(body)) {
+        // raw bodies (streams, blobs, ...) can not be recorded
+        return null;
+    }
+
+    try {
+        return JSON.parse(body);
+    } catch (e) {
+        return body;
+    }
+}
+
+const TEXT_CONTENT_TYPE = /^text\/|json|xml|javascript|csv|x-www-form-urlencoded/i;
+
+const isTextResponse = (response) => {
+    const contentType = response.headers.get('Content-Type');
+
+    return !contentType || TEXT_CONTENT_TYPE.test(contentType);
+};
+
+function readBytes(response) {
+    return isFunction(response.arrayBuffer) ?
+        response.arrayBuffer().then(buffer => new Uint8Array(buffer)) :
+        response.buffer();
+}
+
+function encodeBase64(bytes) {
+    if (typeof Buffer !== 'undefined') {
+        return Buffer.from(bytes).toString('base64');
+    }
+
+    let binary = '';
+    bytes.forEach((byte) => {
+        binary += String.fromCharCode(byte);
+    });
+
+    return btoa(binary);
+}
+
+function decodeBase64(text) {
+    if (typeof Buffer !== 'undefined') {
+        return Buffer.from(text, 'base64');
+    }
+
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+/**
+ * Reads body of the response as it is stored in fixture - text or base64 encoded binary data
+ *
+ * @method readFixtureBody
+ * @private
+ * @return {Promise} promise resolved with `{ body, bodyEncoding }`
+ */
+function readFixtureBody(response) {
+    if (isTextResponse(response)) {
+        return response.text().then(body => ({ body }));
+    }
+
+    return readBytes(response).then(bytes => ({ body: encodeBase64(bytes), bodyEncoding: 'base64' }));
+}
+
+function createFixtureResponse({ status, statusText, headers, body, bodyEncoding }) {
+    const decoded = bodyEncoding === 'base64' ? decodeBase64(body) : body;
+
+    return createResponse(status === 204 || status === 304 ? null : decoded, {
+        status,
+        statusText,
+        headers
+    });
+}
+
+/**
+ * Describes request as it is stored in fixture
+ *
+ * @method describeRequest
+ * @param {String} url
+ * @param {Object} settings fetch settings
+ * @return {Object} `{ method, url, body }`
+ */
+export function describeRequest(url, settings = {}) {
+    return {
+        method: getMethod(settings),
+        url,
+        body: settings.body === undefined ? null : parseBody(settings.body)
+    };
+}
+
+/**
+ * Default matcher of requests - method, url and body (JSON bodies regardless of formatting and key order)
+ *
+ * @method matchRequest
+ * @param {Object} request described by `describeRequest`
+ * @param {Object} recorded request of fixture
+ * @return {Boolean}
+ */
+export const matchRequest = (request, recorded) =>
+    request.method === recorded.method &&
+    request.url === recorded.url &&
+    isEqual(request.body, recorded.body);
+
+/**
+ * Creates fetch which records requests and responses
+ *
+ * @method createRecorder
+ * @param {Function} fetch fetch used to send requests, defaults to fetch of default SDK instance
+ * @return {Object} `{ fetch, getFixtures, clear }`
+ */
+export function createRecorder(fetch = defaultFetch) {
+    let fixtures = [];
+
+    function recordingFetch(url, settings) {
+        const request = describeRequest(url, settings);
+
+        // body is read once and response recreated - cloned body of node-fetch response
+        // stops receiving data when the original one is not read
+        return fetch(url, settings).then(response =>
+            readFixtureBody(response).then((body) => {
+                const recorded = {
+                    status: response.status,
+                    statusText: response.statusText,
+                    headers: mergeHeaders(response.headers),
+                    ...body
+                };
+
+                fixtures = [...fixtures, { request, response: recorded }];
+
+                return createFixtureResponse(recorded);
+            })
+        );
+    }
+
+    return {
+        fetch: recordingFetch,
+        getFixtures: () => fixtures,
+        clear() {
+            fixtures = [];
+        }
+    };
+}
+
+/**
+ * Creates fetch which serves recorded responses. Request is matched with not yet served fixtures
+ * in recorded order. When all matching fixtures were served, the last one is served again.
+ * Request without any matching fixture is rejected with GdcError carrying its `method` and `url`.
+ *
+ * @method createReplayer
+ * @param {Array} fixtures fixtures created by recorder
+ * @param {Object} options
+ * @param {Function} options.match custom matcher `(request, recordedRequest) => Boolean`
+ * @return {Object} `{ fetch, getUnusedFixtures, reset }`
+ */
+export function createReplayer(fixtures, { match = matchRequest } = {}) {
+    let used = [];
+
+    function replayingFetch(url, settings) {
+        const request = describeRequest(url, settings);
+        const matching = fixtures.filter(fixture => match(request, fixture.request));
+
+        if (!matching.length) {
+            const error = new GdcError(`No fixture for ${request.method} ${url}`);
+
+            return Promise.reject(Object.assign(error, { method: request.method, url }));
+        }
+
+        const fixture = matching.find(candidate => used.indexOf(candidate) === -1) || matching[matching.length - 1];
+        used = [...used, fixture];
+
+        return Promise.resolve(createFixtureResponse(fixture.response));
+    }
+
+    return {
+        fetch: replayingFetch,
+
+        /**
+         * @return {Array} fixtures which were not served yet
+         */
+        getUnusedFixtures: () => fixtures.filter(fixture => used.indexOf(fixture) === -1),
+
+        /**
+         * Starts serving fixtures from the beginning
+         */
+        reset() {
+            used = [];
+        }
+    };
+}
@@ -1,11 +1,79 @@
-import gooddata from './gooddata';
-import { setFetch } from './utils/fetch';
+import nodeFetch from 'node-fetch';
+import { CookieJar } from 'tough-cookie';
+import gooddata, { createSdk as createBaseSdk } from './gooddata';
+import { setFetch, setResponse } from './utils/fetch';
+import { createNodeFetch } from './fetch-node';
+import { createSessionPersistence } from './session-node';
 
 // Fetch requests will be sent through the node-fetch wrapped by the fetch-cookie.
 // This is necessary in order to preserve cookies between requests like it would be
 // done in the browser environment. Otherwise the SDK would forget about authentication
 // immediately.
-setFetch(require('fetch-cookie')(require('node-fetch')));
+let defaultJar = new CookieJar();
+let defaultConnectionOptions = {};
 
-export default gooddata;
-module.exports = gooddata;
+const setDefaultFetch = () => setFetch(createNodeFetch(defaultJar, defaultConnectionOptions));
+
+/**
+ * Sets cookie jar used by default SDK instance
+ *
+ * @method setCookieJar
+ * @param {CookieJar} jar tough-cookie jar, possibly backed by custom store
+ */
+export function setCookieJar(jar) {
+    defaultJar = jar;
+    setDefaultFetch();
+}
+
+/**
+ * Sets connection options of default SDK instance - `agent`, `proxy`, `noProxy`, `tls` and `timeout`,
+ * see `fetch-node` module
+ *
+ * @method setConnectionOptions
+ * @param {Object} options
+ */
+export function setConnectionOptions(options) {
+    defaultConnectionOptions = options;
+    setDefaultFetch();
+}
+
+setDefaultFetch();
+setResponse(nodeFetch.Response);
+
+/**
+ * Creates isolated SDK instance, see `createSdk` of the sdk module.
+ * Unless custom `fetch` is provided, every instance gets its own cookie jar
+ * so instances don't share authentication. The jar can be passed as `cookieJar` option
+ * or created with custom tough-cookie store passed as `cookieStore` option
+ * (e.g. file-backed store to share session between processes).
+ * Connection is configured by `agent`, `proxy`, `noProxy`, `tls` and `timeout` options,
+ * see `fetch-node` module.
+ *
+ * Instance also contains functions persisting the session, see `session-node` module.
+ *
+ * @method createSdk
+ * @param {Object} options
+ * @return {Object} SDK instance
+ */
+export function createSdk(options = {}) {
+    const { cookieJar, cookieStore, agent, proxy, noProxy, tls, timeout, ...sdkOptions } = options;
+    const jar = cookieJar || new CookieJar(cookieStore);
+    const fetch = createNodeFetch(jar, { agent, proxy, noProxy, tls, timeout });
+    const sdk = createBaseSdk({ fetch, ...sdkOptions });
+
+    return {
+        ...sdk,
+        ...createSessionPersistence(() => jar, sdk.xhr)
+    };
+}
+
+const gooddataNode = {
+    ...gooddata,
+    ...createSessionPersistence(() => defaultJar, gooddata.xhr),
+    createSdk,
+    setCookieJar,
+    setConnectionOptions
+};
+
+export default gooddataNode;
+module.exports = gooddataNode;
@@ -4,8 +4,60 @@ import * as user from './user';
 import * as md from './metadata';
 import * as execution from './execution';
 import * as project from './project';
+import * as bootstrap from './bootstrap';
+import * as featureFlags from './featureFlags';
 import * as config from './config';
 import * as catalogue from './catalogue';
+import * as uploads from './uploads';
+import * as errors from './errors';
+import * as fixtures from './fixtures';
+
+/**
+ * Creates isolated SDK instance with its own configuration, cookies (when custom `fetch`
+ * with its own cookie jar is provided), token state and xhr settings. Modules
+ * of default SDK instance are not affected.
+ *
+ *     const sdk = gooddata.createSdk({ domain: 'secure.gooddata.com', headers: { 'X-Tenant': 'acme' } });
+ *     sdk.user.login(username, password);
+ *
+ * @method createSdk
+ * @param {Object} options
+ * @param {String} options.domain custom domain of the instance
+ * @param {Function} options.fetch fetch implementation used by the instance,
+ *                                 defaults to fetch of default SDK instance
+ * @param {Object} options.* remaining options (e.g. `headers`, `retry`, `pollDelay`)
+ *                           are used as common xhr settings of the instance, see `xhr.ajaxSetup`
+ * @return {Object} `{ config, xhr, user, md, execution, project, bootstrap, featureFlags, catalogue, uploads,
+ *                   errors }`
+ */
+export function createSdk(options = {}) {
+    const { domain, fetch, ...xhrSettings } = options;
+    const configStorage = { fetch };
+
+    const sdkConfig = config.createModule(configStorage);
+    if (domain !== undefined) {
+        sdkConfig.setCustomDomain(domain);
+    }
+
+    const sdkXhr = xhr.createModule(configStorage);
+    sdkXhr.ajaxSetup(xhrSettings);
+
+    const sdkBootstrap = bootstrap.createModule(sdkXhr);
+
+    return {
+        config: sdkConfig,
+        xhr: sdkXhr,
+        user: user.createModule(sdkXhr, sdkBootstrap),
+        md: md.createModule(sdkXhr),
+        execution: execution.createModule(sdkXhr),
+        project: project.createModule(sdkXhr, sdkBootstrap),
+        bootstrap: sdkBootstrap,
+        featureFlags: featureFlags.createModule(sdkXhr, sdkBootstrap),
+        catalogue: catalogue.createModule(sdkXhr),
+        uploads: uploads.createModule(sdkXhr),
+        errors
+    };
+}
 
 /**
  * # JS SDK
@@ -21,10 +73,27 @@ import * as catalogue from './catalogue';
  * [Authentication via API article](http://developer.gooddata.com/article/authentication-via-api)
  * on [GoodData Developer Portal](http://developer.gooddata.com/)
  *
+ * Modules of this object share one default SDK instance. Use `createSdk` to get isolated
+ * instances, e.g. to talk to several domains or as several users at the same time.
+ *
  * @module sdk
  * @class sdk
  */
-const gooddata = { config, xhr, user, md, execution, project, catalogue };
+const gooddata = {
+    config,
+    xhr,
+    user,
+    md,
+    execution,
+    project,
+    bootstrap,
+    featureFlags,
+    catalogue,
+    uploads,
+    errors,
+    fixtures,
+    createSdk
+};
 export default gooddata;
 module.exports = gooddata;
 
@@ -0,0 +1,23 @@
+#!/usr/bin/env node
+// Copyright (C) 2007-2017, GoodData(R) Corporation. All rights reserved.
+import fs from 'fs';
+import path from 'path';
+import { createMockServer } from './mock-server';
+
+/**
+ * Starts mock server of GoodData API with project definition from JSON file
+ *
+ *     gooddata-mock-server project.json [port]
+ */
+const [definitionFile, port = 3000] = process.argv.slice(2);
+
+if (!definitionFile) {
+    console.error('Usage: gooddata-mock-server <definition.json> [port]'); // eslint-disable-line no-console
+    process.exit(1);
+}
+
+const definition = JSON.parse(fs.readFileSync(path.resolve(definitionFile), 'utf8'));
+
+createMockServer(definition).listen(Number(port)).then((url) => {
+    console.log(`GoodData mock server listening on ${url}`); // eslint-disable-line no-console
+});
@@ -0,0 +1,664 @@
+// Copyright (C) 2007-2017, GoodData(R) Corporation. All rights reserved.
+import http from 'http';
+import crypto from 'crypto';
+import { parse as parseUrl } from 'url';
+import { cloneDeep, find, get, includes, isEqual, isRegExp, max, omit } from 'lodash';
+
+/**
+ * Local stand-in of GoodData API for development and testing of applications without access
+ * to the real backend. Server is backed by JSON definition of users and projects:
+ *
+ *     {
+ *         "organizationName": "GoodData",
+ *         "users": [{
+ *             "login": "john.doe@example.com",
+ *             "password": "secret",
+ *             "profileId": "john",
+ *             "firstName": "John",
+ *             "lastName": "Doe",
+ *             "projects": ["myproject"]
+ *         }],
+ *         "projects": [{
+ *             "id": "myproject",
+ *             "title": "My project",
+ *             "timezone": { "id": "Europe/Prague", "displayName": "Central European Time" },
+ *             "objects": [{
+ *                 "attribute": { "meta": { "uri": "/gdc/md/myproject/obj/1", "identifier": "attr.city" } }
+ *             }],
+ *             "elements": {
+ *                 "/gdc/md/myproject/obj/2": [{ "element": { "title": "Prague", "uri": "..." } }]
+ *             },
+ *             "using": { "/gdc/md/myproject/obj/3": ["/gdc/md/myproject/obj/1"] },
+ *             "executions": [{ "columns": ["attr.city"], "headers": [], "values": [["Prague"]], "polls": 1 }],
+ *             "catalog": [],
+ *             "dateDataSets": []
+ *         }]
+ *     }
+ *
+ * Users without `projects` can access all projects. `elements` are keyed by uri of display form,
+ * `using` lists objects used by the object. Executions are matched by `columns` of the execution
+ * request (execution without `columns` matches any request), result is polled `polls` times (202)
+ * before it is served, empty `values` are served as 204.
+ *
+ * Authentication works like the real API: login sets SST cookie (or returns SST for `verify_level: 2`),
+ * SST is exchanged for TT by `/gdc/account/token` and all other resources require valid TT.
+ *
+ *     const { createMockServer } = require('gooddata/lib/mock-server');
+ *
+ *     createMockServer(require('./project.json')).listen(3000).then((url) => {
+ *         const sdk = require('gooddata').createSdk({ domain: url });
+ *     });
+ *
+ * @module mock-server
+ * @class mock-server
+ */
+
+const SST_COOKIE = 'GDCAuthSST';
+const TT_COOKIE = 'GDCAuthTT';
+const VERIFY_LEVEL_HEADER = 2;
+const DEFAULT_TEMPORARY_TOKEN_TTL = 10 * 60 * 1000;
+const DEFAULT_ELEMENTS_LIMIT = 100;
+
+const createToken = () => crypto.randomBytes(16).toString('hex');
+
+const parseCookies = (header = '') => header.split(';').reduce((cookies, pair) => {
+    const index = pair.indexOf('=');
+
+    return index > 0 ? { ...cookies, [pair.slice(0, index).trim()]: pair.slice(index + 1).trim() } : cookies;
+}, {});
+
+const setCookie = (name, value, path) => `${name}=${value}; Path=${path}; HttpOnly`;
+const clearCookie = (name, path) => `${name}=; Path=${path}; Max-Age=0; HttpOnly`;
+
+const getCategory = obj => Object.keys(obj)[0];
+const getMeta = obj => obj[getCategory(obj)].meta;
+
+/**
+ * Converts metadata object to entry of query and using2 resources
+ *
+ * @method toEntry
+ * @private
+ */
+const toEntry = (obj) => {
+    const meta = getMeta(obj);
+
+    return {
+        ...omit(meta, 'uri'),
+        link: meta.uri,
+        category: getCategory(obj)
+    };
+};
+
+const error = (status, message) => ({
+    status,
+    body: { error: { message, parameters: [] } }
+});
+
+const ok = body => ({ status: 200, body });
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('error', reject);
+        req.on('end', () => {
+            const content = Buffer.concat(chunks).toString('utf8');
+
+            try {
+                resolve(content ? JSON.parse(content) : null);
+            } catch (e) {
+                reject(e);
+            }
+        });
+    });
+}
+
+function send(res, { status = 200, body, headers = {} }) {
+    const content = body === undefined || body === null ? '' : JSON.stringify(body);
+
+    res.writeHead(status, {
+        ...(content ? { 'Content-Type': 'application/json' } : {}),
+        ...headers
+    });
+    res.end(content);
+}
+
+/**
+ * Creates mock server of GoodData API
+ *
+ * @method createMockServer
+ * @param {Object} definition users and projects served by the server, see the module description
+ * @param {Object} options
+ * @param {Array} options.routes custom routes `{ method, path, handler }` served before built-in ones,
+ *                path is exact pathname or RegExp, handler is called with `{ method, path, query, body,
+ *                headers, params }` and returns (promise of) `{ status, body, headers }`
+ * @param {Number} options.delay delay of every response in miliseconds
+ * @param {Number} options.temporaryTokenTtl lifetime of temporary tokens in miliseconds
+ * @return {Object} `{ server, handler, listen, close }`
+ */
+export function createMockServer(definition, options = {}) {
+    const {
+        routes = [],
+        delay = 0,
+        temporaryTokenTtl = DEFAULT_TEMPORARY_TOKEN_TTL
+    } = options;
+    const users = cloneDeep(definition.users || []);
+    const projects = cloneDeep(definition.projects || []).map(project => ({
+        objects: [],
+        elements: {},
+        using: {},
+        executions: [],
+        catalog: [],
+        dateDataSets: [],
+        ...project
+    }));
+
+    let superSecuredTokens = {};
+    let temporaryTokens = {};
+    let executionResults = [];
+
+    const getProfileUri = user => `/gdc/account/profile/${user.profileId}`;
+    const getUserProjects = user => projects.filter(project =>
+        !user.projects || includes(user.projects, project.id)
+    );
+
+    function getAuthenticatedUser(request) {
+        const token = request.headers['x-gdc-authtt'] || request.cookies[TT_COOKIE];
+        const temporaryToken = temporaryTokens[token];
+
+        return temporaryToken && temporaryToken.expires > Date.now() ? temporaryToken.user : undefined;
+    }
+
+    function forgetTokensOf(user) {
+        superSecuredTokens = omit(superSecuredTokens, Object.keys(superSecuredTokens)
+            .filter(token => superSecuredTokens[token] === user));
+        temporaryTokens = omit(temporaryTokens, Object.keys(temporaryTokens)
+            .filter(token => temporaryTokens[token].user === user));
+    }
+
+    function login(request) {
+        const { login: username, password, verify_level: verifyLevel } = get(request.body, 'postUserLogin', {});
+        const user = find(users, { login: username });
+
+        if (!user || user.password !== password) {
+            return error(401, 'Bad Login or Password!');
+        }
+
+        const token = createToken();
+        const headerMode = Number(verifyLevel) === VERIFY_LEVEL_HEADER;
+        superSecuredTokens = { ...superSecuredTokens, [token]: user };
+
+        return {
+            status: 200,
+            body: {
+                userLogin: {
+                    profile: getProfileUri(user),
+                    state: `/gdc/account/login/${user.profileId}`,
+                    ...(headerMode ? { token } : {})
+                }
+            },
+            headers: headerMode ? {} : { 'Set-Cookie': setCookie(SST_COOKIE, token, '/gdc/account') }
+        };
+    }
+
+    function refreshToken(request) {
+        const headerToken = request.headers['x-gdc-authsst'];
+        const user = superSecuredTokens[headerToken || request.cookies[SST_COOKIE]];
+
+        if (!user) {
+            return error(401, 'Unauthorized');
+        }
+
+        const token = createToken();
+        temporaryTokens = { ...temporaryTokens, [token]: { user, expires: Date.now() + temporaryTokenTtl } };
+
+        return {
+            status: 200,
+            body: { userToken: { token } },
+            headers: headerToken ? {} : { 'Set-Cookie': setCookie(TT_COOKIE, token, '/gdc') }
+        };
+    }
+
+    function logout(request, user) {
+        if (request.params[0] !== user.profileId) {
+            return error(403, 'Forbidden');
+        }
+
+        forgetTokensOf(user);
+
+        return {
+            status: 204,
+            headers: {
+                'Set-Cookie': [clearCookie(SST_COOKIE, '/gdc/account'), clearCookie(TT_COOKIE, '/gdc')]
+            }
+        };
+    }
+
+    const toProject = project => ({
+        project: {
+            meta: { title: project.title, summary: project.summary || '' },
+            content: { state: 'ENABLED' },
+            links: {
+                self: `/gdc/projects/${project.id}`,
+                metadata: `/gdc/md/${project.id}`
+            }
+        }
+    });
+
+    const toAccountSetting = user => ({
+        login: user.login,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        links: {
+            self: getProfileUri(user),
+            projects: `${getProfileUri(user)}/projects`
+        }
+    });
+
+    function bootstrap(request, user) {
+        const userProjects = getUserProjects(user);
+        const project = request.query.projectId ?
+            find(userProjects, { id: request.query.projectId }) :
+            userProjects[0];
+
+        if (request.query.projectId && !project) {
+            return error(404, `Project ${request.query.projectId} not found`);
+        }
+
+        return ok({
+            bootstrapResource: {
+                accountSetting: toAccountSetting(user),
+                current: {
+                    project: project ? toProject(project).project : null,
+                    loginMD5: crypto.createHash('md5').update(user.login).digest('hex'),
+                    timezone: project ? project.timezone : undefined
+                },
+                settings: {
+                    organizationName: definition.organizationName || 'GoodData'
+                }
+            }
+        });
+    }
+
+    function profile(request, user) {
+        if (request.params[0] !== user.profileId) {
+            return error(403, 'Forbidden');
+        }
+
+        return ok({ accountSetting: toAccountSetting(user) });
+    }
+
+    function profileProjects(request, user) {
+        if (request.params[0] !== user.profileId) {
+            return error(403, 'Forbidden');
+        }
+
+        return ok({ projects: getUserProjects(user).map(toProject) });
+    }
+
+    /**
+     * Wraps handler of project resource, the handler is called with the project
+     * identified by the first parameter of the route
+     */
+    const withProject = handler => (request, user) => {
+        const projectId = request.params[0];
+        const project = find(projects, { id: projectId });
+
+        if (!project) {
+            return error(404, `Project ${projectId} not found`);
+        }
+
+        if (!find(getUserProjects(user), { id: projectId })) {
+            return error(403, `User has no access to project ${projectId}`);
+        }
+
+        return handler(request, project);
+    };
+
+    const findObject = (project, uri) => find(project.objects, obj => getMeta(obj).uri === uri);
+
+    function query(request, project) {
+        const category = request.params[1].replace(/s$/, '').toLowerCase();
+        const { type } = request.query;
+        const objects = project.objects.filter((obj) => {
+            if (getCategory(obj).toLowerCase() !== category) {
+                return false;
+            }
+
+            const contentType = get(obj, [getCategory(obj), 'content', 'type']);
+            return !type || !contentType || includes([].concat(contentType), type);
+        });
+
+        return ok({ query: { entries: objects.map(toEntry) } });
+    }
+
+    function getObject(request, project) {
+        const obj = findObject(project, request.path);
+
+        return obj ? ok(obj) : error(404, `Object ${request.path} not found`);
+    }
+
+    function createObject(request, project) {
+        const ids = project.objects.map(obj => Number(getMeta(obj).uri.replace(/^.*\//, '')) || 0);
+        const uri = `/gdc/md/${project.id}/obj/${(max(ids) || 0) + 1}`;
+        const category = getCategory(request.body);
+        const obj = {
+            [category]: {
+                ...request.body[category],
+                meta: { ...request.body[category].meta, uri }
+            }
+        };
+
+        project.objects.push(obj);
+
+        return ok({ uri });
+    }
+
+    function updateObject(request, project) {
+        const obj = findObject(project, request.path);
+
+        if (!obj) {
+            return error(404, `Object ${request.path} not found`);
+        }
+
+        const category = getCategory(request.body);
+        project.objects.splice(project.objects.indexOf(obj), 1, {
+            [category]: {
+                ...request.body[category],
+                meta: { ...request.body[category].meta, uri: request.path }
+            }
+        });
+
+        return ok({ uri: request.path });
+    }
+
+    function deleteObject(request, project) {
+        const obj = findObject(project, request.path);
+
+        if (!obj) {
+            return error(404, `Object ${request.path} not found`);
+        }
+
+        project.objects.splice(project.objects.indexOf(obj), 1);
+
+        return { status: 204 };
+    }
+
+    function getObjects(request, project) {
+        const uris = get(request.body, 'get.items', []);
+
+        return ok({
+            objects: {
+                items: uris.map(uri => findObject(project, uri)).filter(Boolean)
+            }
+        });
+    }
+
+    function getUsedEntries(project, uri, types = []) {
+        const used = (project.using[uri] || []).map(usedUri => findObject(project, usedUri)).filter(Boolean);
+
+        return used
+            .filter(obj => !types.length || includes(types, getCategory(obj)))
+            .map(toEntry);
+    }
+
+    function using(request, project) {
+        const { inUse, inUseMany } = request.body || {};
+
+        if (inUse) {
+            return ok({ entries: getUsedEntries(project, inUse.uri, inUse.types) });
+        }
+
+        if (inUseMany) {
+            return ok({
+                useMany: inUseMany.uris.map(uri => ({
+                    uri,
+                    entries: getUsedEntries(project, uri, inUseMany.types)
+                }))
+            });
+        }
+
+        return error(400, 'Missing inUse or inUseMany');
+    }
+
+    function identifiers(request, project) {
+        const requested = get(request.body, 'identifierToUri', []);
+
+        return ok({
+            identifiers: project.objects
+                .map(getMeta)
+                .filter(meta => includes(requested, meta.identifier))
+                .map(meta => ({ identifier: meta.identifier, uri: meta.uri }))
+        });
+    }
+
+    function validElements(request, project) {
+        const displayFormUri = `/gdc/md/${project.id}/obj/${request.params[1]}`;
+        const { limit = DEFAULT_ELEMENTS_LIMIT, offset = 0, order, filter: text } = request.query;
+        const { uris, complement } = get(request.body, 'validElementsRequest', {});
+
+        let elements = (project.elements[displayFormUri] || []).filter(({ element }) =>
+            !text || element.title.toLowerCase().indexOf(text.toLowerCase()) !== -1
+        );
+
+        if (uris) {
+            elements = elements.filter(({ element }) => includes(uris, element.uri) !== Boolean(complement));
+        }
+
+        if (order === 'desc') {
+            elements = elements.slice().reverse();
+        }
+
+        const items = elements.slice(Number(offset), Number(offset) + Number(limit));
+
+        return ok({
+            validElements: {
+                items,
+                paging: {
+                    total: String(elements.length),
+                    count: String(items.length),
+                    offset: String(offset)
+                },
+                elementsMeta: {
+                    attributeDisplayForm: displayFormUri,
+                    filter: text || '',
+                    order: order || 'asc'
+                }
+            }
+        });
+    }
+
+    function execute(request, project) {
+        const execution = get(request.body, 'execution', {});
+        const definedExecution = find(project.executions, candidate =>
+            !candidate.columns || isEqual(candidate.columns, execution.columns)
+        );
+
+        if (!definedExecution) {
+            return error(400, `No execution defined for columns ${JSON.stringify(execution.columns)}`);
+        }
+
+        const resultUri = `/gdc/internal/projects/${project.id}/experimental/executions/results/${executionResults.length}`;
+        executionResults = [...executionResults, {
+            execution: definedExecution,
+            remainingPolls: definedExecution.polls || 0
+        }];
+
+        return {
+            status: 201,
+            body: {
+                executionResult: {
+                    headers: definedExecution.headers || [],
+                    tabularDataResult: resultUri,
+                    extendedTabularDataResult: `${resultUri}?extended=true`
+                }
+            }
+        };
+    }
+
+    function executionResult(request) {
+        const result = executionResults[request.params[1]];
+
+        if (!result) {
+            return error(404, `Execution result ${request.path} not found`);
+        }
+
+        if (result.remainingPolls > 0) {
+            result.remainingPolls -= 1;
+            return { status: 202 };
+        }
+
+        const { values = [], warnings = [] } = result.execution;
+        if (!values.length) {
+            return { status: 204 };
+        }
+
+        const resultKey = request.query.extended ? 'extendedTabularDataResult' : 'tabularDataResult';
+        return ok({ [resultKey]: { values, warnings } });
+    }
+
+    const loadCatalog = (request, project) => ok({
+        catalogResponse: {
+            catalog: project.catalog,
+            totals: { available: project.catalog.length }
+        }
+    });
+
+    const loadDateDataSets = (request, project) => ok({
+        dateDataSetsResponse: {
+            dateDataSets: project.dateDataSets
+        }
+    });
+
+    const builtInRoutes = [
+        { method: 'POST', path: /^\/gdc\/account\/login$/, handler: login, anonymous: true },
+        { method: 'GET', path: /^\/gdc\/account\/token$/, handler: refreshToken, anonymous: true },
+        { method: 'DELETE', path: /^\/gdc\/account\/login\/([^/]+)$/, handler: logout },
+        { method: 'GET', path: /^\/gdc\/app\/account\/bootstrap$/, handler: bootstrap },
+        { method: 'GET', path: /^\/gdc\/account\/profile\/([^/]+)$/, handler: profile },
+        { method: 'GET', path: /^\/gdc\/account\/profile\/([^/]+)\/projects$/, handler: profileProjects },
+        { method: 'GET', path: /^\/gdc\/projects\/([^/]+)$/, handler: withProject((request, project) => ok(toProject(project))) },
+        { method: 'GET', path: /^\/gdc\/md\/([^/]+)\/query\/(\w+)$/, handler: withProject(query) },
+        { method: 'POST', path: /^\/gdc\/md\/([^/]+)\/obj$/, handler: withProject(createObject) },
+        { method: 'GET', path: /^\/gdc\/md\/([^/]+)\/obj\/\d+$/, handler: withProject(getObject) },
+        { method: 'PUT', path: /^\/gdc\/md\/([^/]+)\/obj\/\d+$/, handler: withProject(updateObject) },
+        { method: 'DELETE', path: /^\/gdc\/md\/([^/]+)\/obj\/\d+$/, handler: withProject(deleteObject) },
+        { method: 'POST', path: /^\/gdc\/md\/([^/]+)\/obj\/(\d+)\/validElements$/, handler: withProject(validElements) },
+        { method: 'POST', path: /^\/gdc\/md\/([^/]+)\/objects\/get$/, handler: withProject(getObjects) },
+        { method: 'POST', path: /^\/gdc\/md\/([^/]+)\/using2$/, handler: withProject(using) },
+        { method: 'POST', path: /^\/gdc\/md\/([^/]+)\/identifiers$/, handler: withProject(identifiers) },
+        {
+            method: 'POST',
+            path: /^\/gdc\/internal\/projects\/([^/]+)\/experimental\/executions$/,
+            handler: withProject(execute)
+        },
+        {
+            method: 'GET',
+            path: /^\/gdc\/internal\/projects\/([^/]+)\/experimental\/executions\/results\/(\d+)$/,
+            handler: withProject(executionResult)
+        },
+        { method: 'POST', path: /^\/gdc\/internal\/projects\/([^/]+)\/loadCatalog$/, handler: withProject(loadCatalog) },
+        {
+            method: 'POST',
+            path: /^\/gdc\/internal\/projects\/([^/]+)\/loadDateDataSets$/,
+            handler: withProject(loadDateDataSets)
+        }
+    ];
+
+    function matchRoute(route, method, path) {
+        if (route.method.toUpperCase() !== method) {
+            return null;
+        }
+
+        if (isRegExp(route.path)) {
+            const match = path.match(route.path);
+            return match ? match.slice(1) : null;
+        }
+
+        return route.path === path ? [] : null;
+    }
+
+    function dispatch(request) {
+        const customRoute = find(routes, route => matchRoute(route, request.method, request.path));
+        if (customRoute) {
+            return customRoute.handler({
+                ...omit(request, 'cookies'),
+                params: matchRoute(customRoute, request.method, request.path)
+            });
+        }
+
+        const route = find(builtInRoutes, candidate => matchRoute(candidate, request.method, request.path));
+        if (!route) {
+            return error(404, `Resource ${request.method} ${request.path} not found`);
+        }
+
+        const routeRequest = { ...request, params: matchRoute(route, request.method, request.path) };
+
+        if (route.anonymous) {
+            return route.handler(routeRequest);
+        }
+
+        const user = getAuthenticatedUser(request);
+        return user ? route.handler(routeRequest, user) : error(401, 'Unauthorized');
+    }
+
+    /**
+     * Request listener of the server, can be mounted to other http server or to development
+     * server middleware
+     *
+     * @method handler
+     * @param {IncomingMessage} req
+     * @param {ServerResponse} res
+     */
+    function handleRequest(req, res) {
+        const { pathname, query: queryParams } = parseUrl(req.url, true);
+
+        readBody(req)
+            .then(body => dispatch({
+                method: req.method.toUpperCase(),
+                path: pathname,
+                query: queryParams,
+                body,
+                headers: req.headers,
+                cookies: parseCookies(req.headers.cookie)
+            }), () => error(400, 'Request body is not valid JSON'))
+            .catch(err => error(500, err.message))
+            .then((response) => {
+                setTimeout(() => send(res, response), delay);
+            });
+    }
+
+    const server = http.createServer(handleRequest);
+
+    return {
+        server,
+        handler: handleRequest,
+
+        /**
+         * @method listen
+         * @param {Number} port port to listen on, random free port by default
+         * @param {String} host
+         * @return {Promise} promise resolved with url of the server (e.g. `http://127.0.0.1:3000`)
+         */
+        listen(port = 0, host = '127.0.0.1') {
+            return new Promise((resolve, reject) => {
+                server.once('error', reject);
+                server.listen(port, host, () => {
+                    server.removeListener('error', reject);
+                    resolve(`http://${host}:${server.address().port}`);
+                });
+            });
+        },
+
+        /**
+         * @method close
+         * @return {Promise}
+         */
+        close() {
+            return new Promise((resolve, reject) => {
+                server.close(err => (err ? reject(err) : resolve()));
+            });
+        }
+    };
+}
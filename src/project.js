@@ -1,7 +1,9 @@
 // Copyright (C) 2007-2014, GoodData(R) Corporation. All rights reserved.
-import { post, ajax, get, put, parseJSON } from './xhr';
+import * as defaultXhr from './xhr';
+import * as defaultBootstrap from './bootstrap';
 import { getIn } from './util';
 import { delay } from './utils/promise';
+import { NotFoundError, TimeoutError } from './errors';
 
 /**
  * Functions for working with projects
@@ -10,49 +12,6 @@ import { delay } from './utils/promise';
  * @module project
  */
 
-
-/**
- * Get current project id
- *
- * @method getCurrentProjectId
- * @return {String} current project identifier
- */
-export function getCurrentProjectId() {
-    return get('/gdc/app/account/bootstrap').then((result) => {
-        const currentProject = result.bootstrapResource.current.project;
-        // handle situation in which current project is missing (e.g. new user)
-        if (!currentProject) {
-            return null;
-        }
-
-        return result.bootstrapResource.current.project.links.self.split('/').pop();
-    });
-}
-
-/**
- * Fetches projects available for the user represented by the given profileId
- *
- * @method getProjects
- * @param {String} profileId - User profile identifier
- * @return {Array} An Array of projects
- */
-export function getProjects(profileId) {
-    return get(`/gdc/account/profile/${profileId}/projects`).then((r) => {
-        return r.projects.map(p => p.project);
-    });
-}
-
-/**
- * Fetches all datasets for the given project
- *
- * @method getDatasets
- * @param {String} projectId - GD project identifier
- * @return {Array} An array of objects containing datasets metadata
- */
-export function getDatasets(projectId) {
-    return get(`/gdc/md/${projectId}/query/datasets`).then(getIn('query.entries'));
-}
-
 const DEFAULT_PALETTE = [
     { r: 0x2b, g: 0x6b, b: 0xae },
     { r: 0x69, g: 0xaa, b: 0x51 },
@@ -74,156 +33,227 @@ const DEFAULT_PALETTE = [
     { r: 0xbf, g: 0xbf, b: 0xbf }
 ];
 
+const isProjectCreated = (project) => {
+    const projectState = project.content.state;
+
+    return projectState === 'ENABLED' ||
+        projectState === 'DELETED';
+};
+
 /**
- * Fetches a chart color palette for a project represented by the given
- * projectId parameter.
+ * Creates project module bound to given xhr module
  *
- * @method getColorPalette
- * @param {String} projectId - A project identifier
- * @return {Array} An array of objects with r, g, b fields representing a project's
- * color palette
+ * @method createModule
+ * @param {Object} xhr xhr module of SDK instance
+ * @param {Object} bootstrap bootstrap module of SDK instance
+ * @return {Object} project module
  */
-export function getColorPalette(projectId) {
-    return get(`/gdc/projects/${projectId}/styleSettings`).then((result) => {
-        return result.styleSettings.chartPalette.map((c) => {
-            return {
-                r: c.fill.r,
-                g: c.fill.g,
-                b: c.fill.b
-            };
+export function createModule(xhr, bootstrap = defaultBootstrap.createModule(xhr)) {
+    /**
+     * Get current project id
+     *
+     * @method getCurrentProjectId
+     * @return {String} current project identifier
+     */
+    function getCurrentProjectId() {
+        return bootstrap.getCurrentProjectId();
+    }
+
+    /**
+     * Fetches projects available for the user represented by the given profileId
+     *
+     * @method getProjects
+     * @param {String} profileId - User profile identifier
+     * @return {Array} An Array of projects
+     */
+    function getProjects(profileId) {
+        return xhr.get(`/gdc/account/profile/${profileId}/projects`).then((r) => {
+            return r.projects.map(p => p.project);
         });
-    }, (err) => {
-        if (err.status === 200) {
-            return DEFAULT_PALETTE;
-        }
+    }
 
-        throw new Error(err.statusText);
-    });
-}
+    /**
+     * Fetches all datasets for the given project
+     *
+     * @method getDatasets
+     * @param {String} projectId - GD project identifier
+     * @return {Array} An array of objects containing datasets metadata
+     */
+    function getDatasets(projectId) {
+        return xhr.get(`/gdc/md/${projectId}/query/datasets`).then(getIn('query.entries'));
+    }
 
-/**
- * Sets given colors as a color palette for a given project.
- *
- * @method setColorPalette
- * @param {String} projectId - GD project identifier
- * @param {Array} colors - An array of colors that we want to use within the project.
- * Each color should be an object with r, g, b fields.
- */
-export function setColorPalette(projectId, colors) {
-    return put(`/gdc/projects/${projectId}/styleSettings`, {
-        data: {
-            styleSettings: {
-                chartPalette: colors.map((fill, idx) => {
-                    return { fill, guid: `guid${idx}` };
-                })
-            }
-        }
-    });
-}
 
-/**
- * Gets current timezone and its offset. Example output:
- *
- *     {
- *         id: 'Europe/Prague',
- *         displayName: 'Central European Time',
- *         currentOffsetMs: 3600000
- *     }
- *
- * @method getTimezone
- * @param {String} projectId - GD project identifier
- */
-export function getTimezone(projectId) {
-    const bootstrapUrl = `/gdc/app/account/bootstrap?projectId=${projectId}`;
+    /**
+     * Fetches a chart color palette for a project represented by the given
+     * projectId parameter.
+     *
+     * @method getColorPalette
+     * @param {String} projectId - A project identifier
+     * @return {Array} An array of objects with r, g, b fields representing a project's
+     * color palette
+     */
+    function getColorPalette(projectId) {
+        return xhr.get(`/gdc/projects/${projectId}/styleSettings`).then((result) => {
+            return result.styleSettings.chartPalette.map((c) => {
+                return {
+                    r: c.fill.r,
+                    g: c.fill.g,
+                    b: c.fill.b
+                };
+            });
+        }, (err) => {
+            // project without custom style settings
+            if (err instanceof NotFoundError) {
+                return DEFAULT_PALETTE;
+            }
 
-    return get(bootstrapUrl).then((result) => {
-        return result.bootstrapResource.current.timezone;
-    });
-}
+            throw err;
+        });
+    }
 
-export function setTimezone(projectId, timezone) {
-    const timezoneServiceUrl = `/gdc/md/${projectId}/service/timezone`;
-    const data = {
-        service: { timezone }
-    };
+    /**
+     * Sets given colors as a color palette for a given project.
+     *
+     * @method setColorPalette
+     * @param {String} projectId - GD project identifier
+     * @param {Array} colors - An array of colors that we want to use within the project.
+     * Each color should be an object with r, g, b fields.
+     */
+    function setColorPalette(projectId, colors) {
+        return xhr.put(`/gdc/projects/${projectId}/styleSettings`, {
+            data: {
+                styleSettings: {
+                    chartPalette: colors.map((fill, idx) => {
+                        return { fill, guid: `guid${idx}` };
+                    })
+                }
+            }
+        });
+    }
 
-    return ajax(timezoneServiceUrl, {
-        method: 'POST',
-        body: data
-    }).then(parseJSON);
-}
+    /**
+     * Gets current timezone and its offset. Example output:
+     *
+     *     {
+     *         id: 'Europe/Prague',
+     *         displayName: 'Central European Time',
+     *         currentOffsetMs: 3600000
+     *     }
+     *
+     * @method getTimezone
+     * @param {String} projectId - GD project identifier
+     */
+    function getTimezone(projectId) {
+        return bootstrap.getTimezone(projectId);
+    }
 
-const isProjectCreated = (project) => {
-    const projectState = project.content.state;
+    function setTimezone(projectId, timezone) {
+        const timezoneServiceUrl = `/gdc/md/${projectId}/service/timezone`;
+        const data = {
+            service: { timezone }
+        };
 
-    return projectState === 'ENABLED' ||
-        projectState === 'DELETED';
-};
+        return xhr.ajax(timezoneServiceUrl, {
+            method: 'POST',
+            body: data
+        }).then(xhr.parseJSON).then((result) => {
+            bootstrap.clearCache();
+            return result;
+        });
+    }
 
 
-const pollForProject = (uri, options = {}) => {
-    const {
-        attempts = 0,
-        maxAttempts = 50,
-        pollStep = 5000
-    } = options;
+    const pollForProject = (uri, options = {}) => {
+        const {
+            attempts = 0,
+            maxAttempts = 50,
+            pollStep = 5000,
+            signal
+        } = options;
 
-    return get(uri).then((response) => {
-        const { project } = response;
+        return xhr.get(uri, { signal }).then((response) => {
+            const { project } = response;
 
-        if (attempts > maxAttempts) {
-            return Promise.reject(new Error(response));
-        }
+            if (attempts > maxAttempts) {
+                return Promise.reject(new TimeoutError(`Project ${uri} was not created in time`, { url: uri, attempts }));
+            }
 
-        return isProjectCreated(project) ?
-            Promise.resolve(response) :
-            delay(pollStep).then(() => {
-                return pollForProject(uri, {
-                    ...options,
-                    attempts: attempts + 1
+            return isProjectCreated(project) ?
+                Promise.resolve(response) :
+                delay(pollStep, signal).then(() => {
+                    return pollForProject(uri, {
+                        ...options,
+                        attempts: attempts + 1
+                    });
                 });
-            });
-    });
-};
+        });
+    };
 
-/**
- * Create project
- * Note: returns a promise which is resolved when the project creation is finished
- *
- * @experimental
- * @method createProject
- * @param {Object} options for project creation (title, subtitle, authorizationToken, ...)
- * @return {Object} created project object
- */
-export const createProject = (options = {}) => {
-    const {
-        title = 'Project',
-        summary = 'Project',
-        projectTemplate = '/projectTemplates/GoodSalesDemo/2',
-        driver = 'Pg',
-        environment = 'TESTING',
-        guidedNavigation = 1,
-        authorizationToken
-    } = options;
-
-    return post('/gdc/projects', {
-        body: JSON.stringify({
-            project: {
-                content: {
-                    guidedNavigation,
-                    driver,
-                    authorizationToken,
-                    environment
-                },
-                meta: {
-                    title,
-                    summary,
-                    projectTemplate
+    /**
+     * Create project
+     * Note: returns a promise which is resolved when the project creation is finished
+     *
+     * @experimental
+     * @method createProject
+     * @param {Object} options for project creation (title, subtitle, authorizationToken, ...)
+     *                 and polling (maxAttempts, pollStep, signal to cancel waiting for the project)
+     * @return {Object} created project object
+     */
+    const createProject = (options = {}) => {
+        const {
+            title = 'Project',
+            summary = 'Project',
+            projectTemplate = '/projectTemplates/GoodSalesDemo/2',
+            driver = 'Pg',
+            environment = 'TESTING',
+            guidedNavigation = 1,
+            authorizationToken,
+            signal
+        } = options;
+
+        return xhr.post('/gdc/projects', {
+            signal,
+            body: JSON.stringify({
+                project: {
+                    content: {
+                        guidedNavigation,
+                        driver,
+                        authorizationToken,
+                        environment
+                    },
+                    meta: {
+                        title,
+                        summary,
+                        projectTemplate
+                    }
                 }
-            }
+            })
         })
-    })
-    .then(parseJSON)
-    .then(project =>
-        pollForProject(project.uri, options));
-};
+        .then(xhr.parseJSON)
+        .then(project =>
+            pollForProject(project.uri, options));
+    };
+
+    return {
+        getCurrentProjectId,
+        getProjects,
+        getDatasets,
+        getColorPalette,
+        setColorPalette,
+        getTimezone,
+        setTimezone,
+        createProject
+    };
+}
+
+export const {
+    getCurrentProjectId,
+    getProjects,
+    getDatasets,
+    getColorPalette,
+    setColorPalette,
+    getTimezone,
+    setTimezone,
+    createProject
+} = createModule(defaultXhr, defaultBootstrap);
@@ -0,0 +1,98 @@
+// Copyright (C) 2007-2017, GoodData(R) Corporation. All rights reserved.
+import fs from 'fs';
+import { Cookie } from 'tough-cookie';
+import { get } from 'lodash';
+
+/**
+ * Persistence of authenticated session in Node.js. Session state consists of cookies
+ * of the cookie jar used by fetch and of tokens kept by xhr module in header mode.
+ *
+ * @module session-node
+ * @class session-node
+ */
+
+const callback = fn => new Promise((resolve, reject) => {
+    fn((err, result) => (err ? reject(err) : resolve(result)));
+});
+
+/**
+ * Creates functions exporting and importing session of SDK instance
+ *
+ * @method createSessionPersistence
+ * @param {Function} getJar returns tough-cookie CookieJar used by fetch of the instance
+ * @param {Object} xhr xhr module of the instance
+ * @return {Object} `{ exportSession, importSession, saveSession, loadSession }`
+ */
+export function createSessionPersistence(getJar, xhr) {
+    /**
+     * @method exportSession
+     * @return {Promise} promise resolved with plain object which can be serialized by JSON.stringify
+     */
+    function exportSession() {
+        return callback(cb => getJar().serialize(cb)).then(cookies => ({
+            cookies,
+            tokens: {
+                mode: xhr.tokens.getMode(),
+                superSecuredToken: xhr.tokens.getSuperSecuredToken(),
+                temporaryToken: xhr.tokens.getTemporaryToken()
+            }
+        }));
+    }
+
+    /**
+     * Restores session exported by `exportSession`. Imported cookies are added to the cookie jar
+     * (replacing cookies with the same name, domain and path).
+     *
+     * @method importSession
+     * @param {Object} session
+     * @return {Promise}
+     */
+    function importSession(session) {
+        const { store } = getJar();
+        const cookies = get(session, 'cookies.cookies', []);
+
+        return Promise.all(
+            cookies.map(cookie => callback(cb => store.putCookie(Cookie.fromJSON(cookie), cb)))
+        ).then(() => {
+            const { tokens } = session;
+
+            if (tokens) {
+                xhr.tokens.setMode(tokens.mode);
+                xhr.tokens.setSuperSecuredToken(tokens.superSecuredToken);
+                xhr.tokens.setTemporaryToken(tokens.temporaryToken);
+            }
+        });
+    }
+
+    /**
+     * Exports session to a file readable only by its owner
+     *
+     * @method saveSession
+     * @param {String} file path to the file
+     * @return {Promise}
+     */
+    function saveSession(file) {
+        return exportSession().then(session =>
+            callback(cb => fs.writeFile(file, JSON.stringify(session), { mode: 0o600 }, cb))
+        );
+    }
+
+    /**
+     * Imports session saved by `saveSession`
+     *
+     * @method loadSession
+     * @param {String} file path to the file
+     * @return {Promise}
+     */
+    function loadSession(file) {
+        return callback(cb => fs.readFile(file, 'utf8', cb))
+            .then(content => importSession(JSON.parse(content)));
+    }
+
+    return {
+        exportSession,
+        importSession,
+        saveSession,
+        loadSession
+    };
+}
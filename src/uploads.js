@@ -0,0 +1,230 @@
+// Copyright (C) 2007-2017, GoodData(R) Corporation. All rights reserved.
+import { get, isFunction, isString, last } from 'lodash';
+import * as defaultXhr from './xhr';
+
+/**
+ * Functions for working with user staging area (WebDAV) where data loaded into projects
+ * (CSV files, manifests, ...) are uploaded. Paths are relative to the staging root `/gdc/uploads`.
+ *
+ * @class uploads
+ * @module uploads
+ */
+
+export const STAGING_URI = '/gdc/uploads';
+
+const CONTENT_TYPES = {
+    csv: 'text/csv',
+    json: 'application/json',
+    txt: 'text/plain',
+    zip: 'application/zip'
+};
+const DEFAULT_CONTENT_TYPE = 'application/octet-stream';
+
+const isStream = content => !!content && isFunction(content.pipe);
+
+/**
+ * Converts path in staging area to uri, segments of the path are encoded
+ *
+ * @method getStagingUri
+ * @param {String} path e.g. `load/data.csv`, path ending with `/` is a directory
+ * @return {String} uri
+ */
+export function getStagingUri(path = '') {
+    const segments = path.split('/').filter(Boolean).map(encodeURIComponent);
+    const isDirectory = segments.length > 0 && /\/$/.test(path);
+
+    return [STAGING_URI, ...segments].join('/') + (isDirectory ? '/' : '');
+}
+
+function getContentType(path) {
+    const extension = last(path.split('.')).toLowerCase();
+
+    return CONTENT_TYPES[extension] || DEFAULT_CONTENT_TYPE;
+}
+
+function getContentSize(content) {
+    if (isString(content)) {
+        return typeof Buffer !== 'undefined' ?
+            Buffer.byteLength(content) :
+            encodeURIComponent(content).replace(/%[A-F\d]{2}/g, '_').length;
+    }
+
+    if (typeof get(content, 'size') === 'number') {
+        // Blob
+        return content.size;
+    }
+
+    // ArrayBuffer, typed arrays and Buffer
+    return get(content, 'byteLength');
+}
+
+const decodeXml = text => text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&amp;/g, '&');
+
+const getElementText = (xml, name) => {
+    const match = xml.match(new RegExp(`<(?:[\\w-]+:)?${name}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:[\\w-]+:)?${name}>`));
+
+    return match ? decodeXml(match[1].trim()) : undefined;
+};
+
+const hasElement = (xml, name) => new RegExp(`<(?:[\\w-]+:)?${name}[\\s/>]`).test(xml);
+
+const toPath = href => decodeURIComponent(href.replace(/^\w+:\/\/[^/]+/, '')).replace(/\/$/, '');
+
+/**
+ * Parses WebDAV multistatus response of PROPFIND request
+ *
+ * @method parseMultistatus
+ * @private
+ */
+function parseMultistatus(xml) {
+    const responses = xml.match(/<(?:[\w-]+:)?response[\s>][\s\S]*?<\/(?:[\w-]+:)?response>/g) || [];
+
+    return responses.map((response) => {
+        const path = toPath(getElementText(response, 'href'));
+        const isDirectory = hasElement(response, 'collection');
+        const size = getElementText(response, 'getcontentlength');
+
+        return {
+            name: last(path.split('/')),
+            path: path.slice(STAGING_URI.length + 1),
+            isDirectory,
+            size: !isDirectory && size !== undefined ? Number(size) : undefined,
+            lastModified: getElementText(response, 'getlastmodified')
+        };
+    });
+}
+
+/**
+ * Creates uploads module bound to given xhr module
+ *
+ * @method createModule
+ * @param {Object} xhr xhr module of SDK instance
+ * @return {Object} uploads module
+ */
+export function createModule(xhr) {
+    /**
+     * Uploads file to staging area. Content is a string, Blob (File), ArrayBuffer, typed array,
+     * Buffer or Node.js readable stream. Existing file is replaced.
+     *
+     * Progress callback is called with `{ loaded, total }` in bytes when the upload starts
+     * and finishes. Node.js build reports progress of stream uploads continuously.
+     *
+     * Stream can not be sent again, so TT is refreshed before stream upload starts and the upload
+     * is not retried - it is rejected with UnauthorizedError when the token expires anyway.
+     *
+     * @method upload
+     * @param {String} path path of the file, e.g. `load/data.csv`
+     * @param {String|Blob|ArrayBuffer|Stream} content
+     * @param {Object} options
+     * @param {String} options.contentType defaults to type of Blob or is derived from file extension
+     * @param {Number} options.size size of the content in bytes, needed for stream uploads
+     *                              to send `Content-Length` and report progress total
+     * @param {Function} options.onProgress progress callback
+     * @param {AbortSignal} options.signal signal cancelling the upload
+     * @return {Promise} promise resolved with uri of uploaded file
+     */
+    function upload(path, content, options = {}) {
+        const uri = getStagingUri(path);
+        const { onProgress, signal, size = getContentSize(content) } = options;
+        const contentType = options.contentType || get(content, 'type') || getContentType(path);
+        let loaded;
+
+        const reportProgress = (progress) => {
+            loaded = progress.loaded;
+
+            if (onProgress) {
+                onProgress(progress);
+            }
+        };
+
+        reportProgress({ loaded: 0, total: size });
+
+        const tokenRefresh = isStream(content) ? xhr.refreshTemporaryToken() : Promise.resolve();
+
+        return tokenRefresh.then(() => xhr.ajax(uri, {
+            method: 'PUT',
+            body: content,
+            contentType,
+            headers: isStream(content) && size !== undefined ? { 'Content-Length': String(size) } : {},
+            signal,
+            onUploadProgress: progress => reportProgress({ loaded: progress.loaded, total: size })
+        })).then(() => {
+            if (size !== undefined && loaded !== size) {
+                reportProgress({ loaded: size, total: size });
+            }
+
+            return uri;
+        });
+    }
+
+    /**
+     * Creates directory (WebDAV collection) in staging area
+     *
+     * @method createDirectory
+     * @param {String} path path of the directory, its parent has to exist
+     * @param {Object} options
+     * @param {AbortSignal} options.signal
+     * @return {Promise} promise resolved with uri of the directory
+     */
+    function createDirectory(path, { signal } = {}) {
+        const uri = getStagingUri(`${path}/`);
+
+        return xhr.ajax(uri, { method: 'MKCOL', signal }).then(() => uri);
+    }
+
+    /**
+     * Deletes file or directory including its content from staging area
+     *
+     * @method remove
+     * @param {String} path
+     * @param {Object} options
+     * @param {AbortSignal} options.signal
+     * @return {Promise}
+     */
+    function remove(path, { signal } = {}) {
+        return xhr.ajax(getStagingUri(path), { method: 'DELETE', signal }).then(() => undefined);
+    }
+
+    /**
+     * Lists content of directory in staging area
+     *
+     * @method list
+     * @param {String} path path of the directory, staging root by default
+     * @param {Object} options
+     * @param {AbortSignal} options.signal
+     * @return {Promise} promise resolved with array of `{ name, path, isDirectory, size, lastModified }`
+     */
+    function list(path = '', { signal } = {}) {
+        const uri = getStagingUri(`${path}/`);
+
+        return xhr.ajax(uri, {
+            method: 'PROPFIND',
+            headers: {
+                Accept: 'application/xml, text/xml',
+                Depth: '1'
+            },
+            signal
+        })
+        .then(response => response.text())
+        .then(xml => parseMultistatus(xml).filter(entry => entry.path !== toPath(uri).slice(STAGING_URI.length + 1)));
+    }
+
+    return {
+        upload,
+        createDirectory,
+        remove,
+        list
+    };
+}
+
+export const {
+    upload,
+    createDirectory,
+    remove,
+    list
+} = createModule(defaultXhr);
@@ -1,5 +1,18 @@
 // Copyright (C) 2007-2014, GoodData(R) Corporation. All rights reserved.
-import { ajax, get, post, put, parseJSON } from './xhr';
+import { mapValues, noop, omit } from 'lodash';
+import * as defaultXhr from './xhr';
+import * as defaultBootstrap from './bootstrap';
+import { UnauthorizedError } from './errors';
+import { TOKEN_MODE_COOKIE, TOKEN_MODE_HEADER } from './utils/tokens';
+import { createSession } from './utils/session';
+
+// login returns SST in response body instead of setting it in cookie
+const VERIFY_LEVEL_HEADER = 2;
+
+const PGP_LOGIN_URI = '/gdc/account/customerlogin';
+const SAML_LOGIN_URI = '/gdc/account/saml/login';
+
+const getUserId = profileUri => profileUri.match(/([^/]+)\/?$/)[1];
 
 /**
  * @module user
@@ -7,105 +20,360 @@ import { ajax, get, post, put, parseJSON } from './xhr';
  */
 
 /**
- * Find out whether a user is logged in
+ * Creates user module bound to given xhr module
  *
- * @return {Promise} resolves with true if user logged in, false otherwise
- * @method isLoggedIn
+ * @method createModule
+ * @param {Object} xhr xhr module of SDK instance
+ * @param {Object} bootstrap bootstrap module of SDK instance
+ * @return {Object} user module
  */
-export function isLoggedIn() {
-    return new Promise((resolve, reject) => {
-        // cannot use get here directly - we need to access to response
-        // not to responses JSON get returns
-        ajax('/gdc/account/token', { method: 'GET' }).then((r) => {
-            if (r.ok) {
-                resolve(true);
-            }
+export function createModule(xhr, bootstrap = defaultBootstrap.createModule(xhr)) {
+    /**
+     * State of user's session - `{ status, profile }` where status is 'anonymous', 'authenticated'
+     * or 'expired'. Changes can be observed by `session.subscribe(listener)`, `session.startKeepalive()`
+     * periodically refreshes TT so the session does not expire while the application is idle.
+     *
+     *     const unsubscribe = gooddata.user.session.subscribe(({ status }) => {
+     *         if (status === 'expired') showLoginForm();
+     *     });
+     *
+     * @property session
+     */
+    // failed keepalive is reflected in the state by `sst:expired` event
+    const session = createSession(() => xhr.refreshTemporaryToken().catch(noop));
+    let permissionsCache = {};
+
+    // cached resources belong to the user logged in when they were fetched
+    const clearCaches = () => {
+        bootstrap.clearCache();
+        permissionsCache = {};
+
+        return Promise.resolve(xhr.clearCache());
+    };
+
+    const getProfileUri = () => {
+        const { profile } = session.getState();
+
+        return profile ?
+            Promise.resolve(profile) :
+            bootstrap.getCurrentUser().then(({ profileUri }) => profileUri);
+    };
 
-            resolve(false);
-        }, (err) => {
-            if (err.response.status === 401) {
+    xhr.on('sst:expired', () => session.expire());
+    xhr.on('token:refresh', ({ status }) => {
+        if (status >= 200 && status < 300) {
+            session.authenticate();
+        }
+    });
+
+    /**
+     * Find out whether a user is logged in
+     *
+     * @return {Promise} resolves with true if user logged in, false otherwise
+     * @method isLoggedIn
+     */
+    function isLoggedIn() {
+        return new Promise((resolve, reject) => {
+            // cannot use get here directly - we need to access to response
+            // not to responses JSON get returns
+            xhr.ajax('/gdc/account/token', { method: 'GET' }).then((r) => {
+                if (r.ok) {
+                    session.authenticate();
+                    resolve(true);
+                    return;
+                }
+
+                session.expire();
                 resolve(false);
-            } else {
-                reject(err);
-            }
+            }, (err) => {
+                if (err instanceof UnauthorizedError) {
+                    session.expire();
+                    resolve(false);
+                } else {
+                    reject(err);
+                }
+            });
         });
-    });
-}
+    }
 
 
-/**
- * This function provides an authentication entry point to the GD API. It is needed to authenticate
- * by calling this function prior any other API calls. After providing valid credentials
- * every subsequent API call in a current session will be authenticated.
- *
- * @method login
- * @param {String} username
- * @param {String} password
- */
-export function login(username, password) {
-    return post('/gdc/account/login', {
-        body: JSON.stringify({
-            postUserLogin: {
-                login: username,
-                password,
-                remember: 1,
-                captcha: '',
-                verifyCaptcha: ''
+    /**
+     * Keeps SST returned by login in header mode and exchanges it for TT, cookie mode login
+     * switches back from header mode of previous login
+     *
+     * @method completeLogin
+     * @private
+     */
+    function completeLogin(result, headerMode) {
+        const authenticate = () => clearCaches().then(() => {
+            session.authenticate(result.userLogin.profile);
+            return result;
+        });
+
+        if (!headerMode) {
+            xhr.tokens.clear();
+            xhr.tokens.setMode(TOKEN_MODE_COOKIE);
+
+            return authenticate();
+        }
+
+        xhr.tokens.setMode(TOKEN_MODE_HEADER);
+        xhr.tokens.setSuperSecuredToken(result.userLogin.token);
+
+        return xhr.refreshTemporaryToken().then(authenticate);
+    }
+
+    /**
+     * This function provides an authentication entry point to the GD API. It is needed to authenticate
+     * by calling this function prior any other API calls. After providing valid credentials
+     * every subsequent API call in a current session will be authenticated.
+     *
+     * By default tokens are kept in cookies. With `tokenMode: 'header'` option SST is obtained
+     * from the response, exchanged for TT and both tokens are kept by xhr module and sent in headers
+     * (see `xhr.tokens`).
+     *
+     * @method login
+     * @param {String} username
+     * @param {String} password
+     * @param {Object} options
+     * @param {String} options.tokenMode 'cookie' (default) or 'header'
+     */
+    function login(username, password, options = {}) {
+        const headerMode = options.tokenMode === TOKEN_MODE_HEADER;
+        const postUserLogin = {
+            login: username,
+            password,
+            remember: 1,
+            captcha: '',
+            verifyCaptcha: ''
+        };
+
+        if (headerMode) {
+            postUserLogin.verify_level = VERIFY_LEVEL_HEADER;
+        }
+
+        return xhr.post('/gdc/account/login', {
+            body: JSON.stringify({ postUserLogin })
+        }).then(xhr.parseJSON).then(result => completeLogin(result, headerMode));
+    }
+
+    /**
+     * Logs in user by SSO claims encrypted by PGP for GoodData and signed by the SSO provider
+     * (typically done by backend of the embedding application). Resolves with the same
+     * `userLogin` as `login`.
+     *
+     * @method loginPgp
+     * @param {String} encryptedClaims PGP message with claims of the user
+     * @param {String} ssoProvider SSO provider registered in GoodData
+     * @param {Object} options
+     * @param {String} options.targetUrl url the login is valid for, `/` by default
+     * @param {String} options.tokenMode 'cookie' (default) or 'header', see `login`
+     */
+    function loginPgp(encryptedClaims, ssoProvider, options = {}) {
+        const headerMode = options.tokenMode === TOKEN_MODE_HEADER;
+        const pgpLoginRequest = {
+            targetUrl: options.targetUrl || '/',
+            ssoProvider,
+            encryptedClaims
+        };
+
+        if (headerMode) {
+            pgpLoginRequest.verify_level = VERIFY_LEVEL_HEADER;
+        }
+
+        return xhr.post(PGP_LOGIN_URI, {
+            body: JSON.stringify({ pgpLoginRequest })
+        }).then(xhr.parseJSON).then(result => completeLogin(result, headerMode));
+    }
+
+    /**
+     * Logs in user by SAML response (base64 encoded assertion) issued by identity provider
+     * configured for the user's domain. Resolves with the same `userLogin` as `login`.
+     *
+     * @method loginSaml
+     * @param {String} samlResponse
+     * @param {Object} options
+     * @param {String} options.relayState relay state received with the SAML response
+     * @param {String} options.tokenMode 'cookie' (default) or 'header', see `login`
+     */
+    function loginSaml(samlResponse, options = {}) {
+        const headerMode = options.tokenMode === TOKEN_MODE_HEADER;
+        const samlLoginRequest = {
+            samlResponse,
+            relayState: options.relayState || ''
+        };
+
+        if (headerMode) {
+            samlLoginRequest.verify_level = VERIFY_LEVEL_HEADER;
+        }
+
+        return xhr.post(SAML_LOGIN_URI, {
+            body: JSON.stringify({ samlLoginRequest })
+        }).then(xhr.parseJSON).then(result => completeLogin(result, headerMode));
+    }
+
+    /**
+     * Logs in user by SST obtained elsewhere (e.g. by backend of the embedding application).
+     * SST can not be stored in cookie by the SDK, so tokens are kept in header mode.
+     * Resolves with the same `userLogin` as `login`, tokens are forgotten when the SST is not valid.
+     *
+     * @method loginBySst
+     * @param {String} superSecuredToken
+     */
+    function loginBySst(superSecuredToken) {
+        xhr.tokens.setMode(TOKEN_MODE_HEADER);
+        xhr.tokens.setSuperSecuredToken(superSecuredToken);
+
+        return clearCaches()
+            .then(() => xhr.refreshTemporaryToken())
+            .then(() => bootstrap.getCurrentUser())
+            .then(({ profileUri }) => {
+                session.authenticate(profileUri);
+
+                return {
+                    userLogin: {
+                        profile: profileUri,
+                        state: `/gdc/account/login/${getUserId(profileUri)}`,
+                        token: superSecuredToken
+                    }
+                };
+            }, (err) => {
+                xhr.tokens.clear();
+                throw err;
+            });
+    }
+
+    /**
+     * Logs out current user, tokens are forgotten (and token mode is reset to cookie mode)
+     * and session is reset to anonymous (which also stops its keepalive)
+     *
+     * @method logout
+     */
+    function logout() {
+        return isLoggedIn().then((loggedIn) => {
+            if (loggedIn) {
+                return getProfileUri().then(userUri =>
+                    xhr.ajax(`/gdc/account/login/${getUserId(userUri)}`, {
+                        method: 'delete'
+                    })
+                );
             }
-        })
-    }).then(parseJSON);
-}
 
-/**
- * Logs out current user
- * @method logout
- */
-export function logout() {
-    return isLoggedIn().then((loggedIn) => {
-        if (loggedIn) {
-            return get('/gdc/app/account/bootstrap').then((result) => {
-                const userUri = result.bootstrapResource.accountSetting.links.self;
-                const userId = userUri.match(/([^\/]+)\/?$/)[1]; // eslint-disable-line no-useless-escape
-
-                return ajax(`/gdc/account/login/${userId}`, {
-                    method: 'delete'
-                });
+            return Promise.resolve();
+        }).then((result) => {
+            xhr.tokens.clear();
+            xhr.tokens.setMode(TOKEN_MODE_COOKIE);
+            session.clear();
+
+            return clearCaches().then(() => result);
+        });
+    }
+
+    /**
+     * Updates user's profile settings
+     * @method updateProfileSettings
+     * @param {String} profileId - User profile identifier
+     * @param {Object} profileSetting
+    */
+    function updateProfileSettings(profileId, profileSetting) {
+        return xhr.put(`/gdc/account/profile/${profileId}/settings`, {
+            data: profileSetting
+        });
+    }
+
+    /**
+     * Returns info about currently logged in user from bootstrap resource
+     * @method getAccountInfo
+     */
+    function getAccountInfo() {
+        return bootstrap.getCurrentUser();
+    }
+
+    /**
+     * Gets permissions of current user in the project. Permissions are fetched once per project
+     * and cached until the user logs in or out (failed requests are not cached).
+     *
+     * @method getPermissions
+     * @param {String} projectId
+     * @return {Promise} promise resolved with map of permission names to booleans,
+     *                   e.g. `{ canCreateMetric: true, canManageProject: false }`
+     */
+    function getPermissions(projectId) {
+        if (!permissionsCache[projectId]) {
+            const request = getProfileUri()
+                .then(profileUri => xhr.get(`/gdc/projects/${projectId}/users/${getUserId(profileUri)}/permissions`))
+                .then(result => mapValues(
+                    result.associatedPermissions.permissions,
+                    value => value === true || value === '1'
+                ));
+
+            permissionsCache = { ...permissionsCache, [projectId]: request };
+            request.catch(() => {
+                if (permissionsCache[projectId] === request) {
+                    permissionsCache = omit(permissionsCache, projectId);
+                }
             });
         }
 
-        return Promise.resolve();
-    });
-}
+        return permissionsCache[projectId];
+    }
 
-/**
- * Updates user's profile settings
- * @method updateProfileSettings
- * @param {String} profileId - User profile identifier
- * @param {Object} profileSetting
-*/
-export function updateProfileSettings(profileId, profileSetting) {
-    return put(`/gdc/account/profile/${profileId}/settings`, {
-        data: profileSetting
-    });
-}
+    /**
+     * Checks whether current user has the permission in the project, unknown permission is not granted
+     *
+     *     gooddata.user.can(projectId, 'canCreateMetric').then(allowed => toggleButton(allowed));
+     *
+     * @method can
+     * @param {String} projectId
+     * @param {String} permission e.g. `canCreateMetric`, `canManageProject`, `canExportReport`
+     * @return {Promise} promise resolved with boolean
+     */
+    function can(projectId, permission) {
+        return getPermissions(projectId).then(permissions => permissions[permission] === true);
+    }
 
-/**
- * Returns info about currently logged in user from bootstrap resource
- * @method getAccountInfo
- */
-export function getAccountInfo() {
-    return get('/gdc/app/account/bootstrap')
-        .then((result) => {
-            const br = result.bootstrapResource;
-            const accountInfo = {
-                login: br.accountSetting.login,
-                loginMD5: br.current.loginMD5,
-                firstName: br.accountSetting.firstName,
-                lastName: br.accountSetting.lastName,
-                organizationName: br.settings.organizationName,
-                profileUri: br.accountSetting.links.self
-            };
-
-            return accountInfo;
-        });
+    /**
+     * Checks many permissions of current user in the project at once
+     *
+     * @method canEach
+     * @param {String} projectId
+     * @param {Array} permissionNames
+     * @return {Promise} promise resolved with map of given permission names to booleans
+     */
+    function canEach(projectId, permissionNames) {
+        return getPermissions(projectId).then(permissions => permissionNames.reduce((result, permission) => ({
+            ...result,
+            [permission]: permissions[permission] === true
+        }), {}));
+    }
+
+    return {
+        session,
+        isLoggedIn,
+        login,
+        loginPgp,
+        loginSaml,
+        loginBySst,
+        logout,
+        updateProfileSettings,
+        getAccountInfo,
+        getPermissions,
+        can,
+        canEach
+    };
 }
+
+export const {
+    session,
+    isLoggedIn,
+    login,
+    loginPgp,
+    loginSaml,
+    loginBySst,
+    logout,
+    updateProfileSettings,
+    getAccountInfo,
+    getPermissions,
+    can,
+    canEach
+} = createModule(defaultXhr, defaultBootstrap);
@@ -0,0 +1,122 @@
+import { mergeHeaders } from './headers';
+
+/**
+ * Cache storage keeps serializable cache entries by key (request url).
+ * Any object implementing `get(key)`, `set(key, entry)`, `delete(key)` and `clear()` can be used
+ * as a storage adapter (e.g. on top of localStorage, IndexedDB or file system).
+ * Methods can return promises. Storage is cleared on login and logout, so responses
+ * of one user are never served to another.
+ *
+ * Entry is a plain object `{ status, statusText, headers, body, etag, lastModified, storedAt }`
+ * which can be serialized by JSON.stringify.
+ */
+
+const DEFAULT_MAX_ENTRIES = 100;
+
+/**
+ * Creates in-memory storage which evicts least recently used entries
+ *
+ * @param {Object} options
+ * @param {Number} options.maxEntries max number of stored entries, defaults to 100
+ * @return {Object} cache storage
+ */
+export function createMemoryCache({ maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+    const entries = new Map();
+
+    return {
+        get(key) {
+            if (!entries.has(key)) {
+                return undefined;
+            }
+
+            // move entry to the end as the most recently used one
+            const entry = entries.get(key);
+            entries.delete(key);
+            entries.set(key, entry);
+
+            return entry;
+        },
+
+        set(key, entry) {
+            entries.delete(key);
+            entries.set(key, entry);
+
+            if (entries.size > maxEntries) {
+                entries.delete(entries.keys().next().value);
+            }
+        },
+
+        delete(key) {
+            entries.delete(key);
+        },
+
+        clear() {
+            entries.clear();
+        },
+
+        size() {
+            return entries.size;
+        }
+    };
+}
+
+/**
+ * @param {Response} response
+ * @param {Number} ttl time in miliseconds for which response is used without revalidation
+ * @return {Boolean} true if response can be stored - it is successful and it has validators
+ *                   for conditional requests or it is going to be fresh for some time
+ */
+export function isCacheable(response, ttl) {
+    if (response.status !== 200) {
+        return false;
+    }
+
+    return ttl > 0 || response.headers.has('ETag') || response.headers.has('Last-Modified');
+}
+
+/**
+ * Creates cache entry from response. Body of the response is read, the response
+ * has to be recreated from the entry.
+ *
+ * @param {Response} response
+ * @return {Promise} promise resolved with cache entry
+ */
+export function createCacheEntry(response) {
+    // cloned body of node-fetch response stops receiving data when the original one is not read
+    return response.text().then(body => ({
+        status: response.status,
+        statusText: response.statusText,
+        headers: mergeHeaders(response.headers),
+        body,
+        etag: response.headers.get('ETag'),
+        lastModified: response.headers.get('Last-Modified'),
+        storedAt: Date.now()
+    }));
+}
+
+/**
+ * @param {Object} entry
+ * @param {Number} ttl
+ * @return {Boolean} true if entry can be used without revalidation
+ */
+export function isFresh(entry, ttl) {
+    return ttl > 0 && Date.now() - entry.storedAt < ttl;
+}
+
+/**
+ * @param {Object} entry
+ * @return {Object} headers of conditional request revalidating the entry
+ */
+export function getConditionalHeaders(entry) {
+    const headers = {};
+
+    if (entry.etag) {
+        headers['If-None-Match'] = entry.etag;
+    }
+
+    if (entry.lastModified) {
+        headers['If-Modified-Since'] = entry.lastModified;
+    }
+
+    return headers;
+}
@@ -0,0 +1,33 @@
+import { without } from 'lodash';
+
+/**
+ * Creates simple event emitter. Listeners are observers only - exception thrown
+ * by a listener does not affect other listeners nor the code emitting the event.
+ *
+ * @return {Object} emitter with `on`, `off` and `emit` methods
+ */
+export function createEmitter() {
+    let listeners = {};
+
+    function off(event, listener) {
+        listeners = { ...listeners, [event]: without(listeners[event] || [], listener) };
+    }
+
+    function on(event, listener) {
+        listeners = { ...listeners, [event]: [...(listeners[event] || []), listener] };
+
+        return () => off(event, listener);
+    }
+
+    function emit(event, payload) {
+        (listeners[event] || []).forEach((listener) => {
+            try {
+                listener(payload);
+            } catch (e) {
+                // listeners must not change the outcome of the emitting code
+            }
+        });
+    }
+
+    return { on, off, emit };
+}
@@ -1,11 +1,31 @@
 import invariant from 'invariant';
 
 let realFetch;
+let RealResponse;
 
 export function setFetch(fetch) {
     realFetch = fetch;
 }
 
+/**
+ * Sets Response implementation used for responses created by SDK (e.g. from cache).
+ * Global Response is used by default.
+ *
+ * @param {Function} Response
+ */
+export function setResponse(Response) {
+    RealResponse = Response;
+}
+
+export function createResponse(body, init) {
+    const ResponseImpl = RealResponse || global.Response;
+
+    invariant(ResponseImpl, 'You have to define Response implementation' +
+        '(node-fetch, isomorphic-fetch) before using it.');
+
+    return new ResponseImpl(body, init);
+}
+
 export default function(url, options) {
     invariant(realFetch, 'You have to define fetch implementation' +
         '(node-fetch, isomorphic-fetch) before using it.');
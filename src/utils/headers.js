@@ -0,0 +1,66 @@
+import { find, isFunction, omitBy } from 'lodash';
+
+const isSameName = name => key => key.toLowerCase() === name.toLowerCase();
+
+function toObject(headers) {
+    if (headers && isFunction(headers.forEach) && !Array.isArray(headers)) {
+        // Headers instance
+        const result = {};
+        headers.forEach((value, name) => {
+            result[name] = value;
+        });
+        return result;
+    }
+
+    return headers || {};
+}
+
+/**
+ * Finds name of the header regardless of its case
+ *
+ * @param {Object} headers
+ * @param {String} name
+ * @return {String|undefined} name of the header as present in headers
+ */
+export const findHeader = (headers, name) => find(Object.keys(headers || {}), isSameName(name));
+
+/**
+ * @param {Object} headers
+ * @param {String} name case insensitive header name
+ * @return {Boolean}
+ */
+export const hasHeader = (headers, name) => findHeader(headers, name) !== undefined;
+
+/**
+ * Returns copy of headers without given header (case insensitive)
+ *
+ * @param {Object} headers
+ * @param {String} name
+ * @return {Object}
+ */
+export const removeHeader = (headers, name) => omitBy(headers, (value, key) => isSameName(name)(key));
+
+/**
+ * Merges header objects (or Headers instances) from left to right. Header names
+ * are compared case insensitively so later `content-type` replaces earlier `Content-Type`.
+ * Headers with undefined or null value are removed.
+ *
+ * @param {...Object} sources
+ * @return {Object} merged headers
+ */
+export function mergeHeaders(...sources) {
+    return sources.reduce((merged, source) => {
+        const headers = toObject(source);
+
+        return Object.keys(headers).reduce((result, name) => {
+            const value = headers[name];
+            const rest = removeHeader(result, name);
+
+            if (value === undefined || value === null) {
+                return rest;
+            }
+
+            return { ...rest, [name]: value };
+        }, merged);
+    }, {});
+}
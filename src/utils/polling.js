@@ -0,0 +1,46 @@
+import { result } from 'lodash';
+
+export const POLL_BACKOFF_FIXED = 'fixed';
+export const POLL_BACKOFF_LINEAR = 'linear';
+export const POLL_BACKOFF_EXPONENTIAL = 'exponential';
+
+/**
+ * Computes delay before given polling attempt
+ *
+ * @param {Object} settings xhr settings with polling configuration:
+ *        - pollDelay {Number|Function} base delay in miliseconds
+ *        - pollBackoff {String} 'fixed' (default), 'linear' or 'exponential'
+ *        - pollMaxDelay {Number} upper limit of the delay
+ * @param {Number} attempt polling attempt (starting at 1)
+ * @return {Number} delay in miliseconds
+ */
+export function getPollingDelay(settings, attempt) {
+    const baseDelay = result(settings, 'pollDelay');
+    const { pollBackoff = POLL_BACKOFF_FIXED, pollMaxDelay } = settings;
+
+    let pollingDelay = baseDelay;
+    if (pollBackoff === POLL_BACKOFF_LINEAR) {
+        pollingDelay = baseDelay * attempt;
+    } else if (pollBackoff === POLL_BACKOFF_EXPONENTIAL) {
+        pollingDelay = baseDelay * (2 ** (attempt - 1));
+    }
+
+    return pollMaxDelay !== undefined ? Math.min(pollingDelay, pollMaxDelay) : pollingDelay;
+}
+
+/**
+ * Checks polling limits
+ *
+ * @param {Object} settings xhr settings with polling limits:
+ *        - pollMaxAttempts {Number} maximal number of polling requests
+ *        - pollTimeout {Number} maximal duration of polling in miliseconds
+ * @param {Number} attempt polling attempt (starting at 1)
+ * @param {Number} elapsed time elapsed since polling started
+ * @return {Boolean} true if the attempt exceeds the limits
+ */
+export function isPollingExhausted(settings, attempt, elapsed) {
+    const { pollMaxAttempts, pollTimeout } = settings;
+
+    return (pollMaxAttempts !== undefined && attempt > pollMaxAttempts) ||
+        (pollTimeout !== undefined && elapsed >= pollTimeout);
+}
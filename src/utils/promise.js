@@ -1,11 +1,70 @@
+import { CancelledError } from '../errors';
+
+function onAbort(signal, callback) {
+    if (!signal) {
+        return () => {};
+    }
+
+    signal.addEventListener('abort', callback);
+
+    return () => signal.removeEventListener('abort', callback);
+}
+
 /**
  * Return promise that will resolve after `ms` miliseconds
  *
  * @param {Number} ms time in miliseconds
+ * @param {AbortSignal} signal optional signal which rejects the promise
+ *                             with CancelledError when aborted
+ * @return {Promise}
+ */
+export function delay(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(new CancelledError());
+            return;
+        }
+
+        let timeout;
+        const unsubscribe = onAbort(signal, () => {
+            clearTimeout(timeout);
+            reject(new CancelledError());
+        });
+
+        timeout = setTimeout(() => {
+            unsubscribe();
+            resolve();
+        }, ms);
+    });
+}
+
+/**
+ * Return promise settled with given promise unless signal is aborted sooner,
+ * in which case it is rejected with CancelledError
+ *
+ * @param {Promise} promise
+ * @param {AbortSignal} signal
  * @return {Promise}
  */
-export function delay(ms) {
-    return new Promise((resolve) => {
-        setTimeout(() => resolve(), ms);
+export function cancellable(promise, signal) {
+    if (!signal) {
+        return promise;
+    }
+
+    return new Promise((resolve, reject) => {
+        if (signal.aborted) {
+            reject(new CancelledError());
+            return;
+        }
+
+        const unsubscribe = onAbort(signal, () => reject(new CancelledError()));
+
+        promise.then((value) => {
+            unsubscribe();
+            resolve(value);
+        }, (err) => {
+            unsubscribe();
+            reject(err);
+        });
     });
 }
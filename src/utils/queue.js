@@ -0,0 +1,96 @@
+import { CancelledError } from '../errors';
+
+/**
+ * Creates queue which limits number of concurrently running tasks.
+ * Tasks which can not run immediately wait in the queue ordered by priority
+ * (higher first), tasks of the same priority are run in order of scheduling.
+ *
+ * @param {Function} getLimit returns current max number of running tasks,
+ *                            falsy value means no limit
+ * @return {Object} queue
+ */
+export function createQueue(getLimit) {
+    let running = 0;
+    let pending = [];
+
+    const hasFreeSlot = () => {
+        const limit = getLimit();
+
+        return !limit || running < limit;
+    };
+
+    function run(task) {
+        running += 1;
+
+        let result;
+        try {
+            result = Promise.resolve(task());
+        } catch (e) {
+            result = Promise.reject(e);
+        }
+
+        const release = () => {
+            running -= 1;
+            next(); // eslint-disable-line no-use-before-define
+        };
+
+        result.then(release, release);
+
+        return result;
+    }
+
+    function next() {
+        while (pending.length && hasFreeSlot()) {
+            const item = pending.shift();
+            item.unsubscribe();
+            run(item.task).then(item.resolve, item.reject);
+        }
+    }
+
+    /**
+     * Runs the task once there is a free slot. If there is one already,
+     * the task is run synchronously.
+     *
+     * @param {Function} task function returning promise, slot is occupied until the promise is settled
+     * @param {Object} options
+     * @param {Number} options.priority priority of the task, defaults to 0
+     * @param {AbortSignal} options.signal signal which removes waiting task from the queue
+     *                                     and rejects it with CancelledError
+     * @return {Promise} promise settled with result of the task
+     */
+    function schedule(task, { priority = 0, signal } = {}) {
+        if (!pending.length && hasFreeSlot()) {
+            return run(task);
+        }
+
+        return new Promise((resolve, reject) => {
+            const item = { task, priority, resolve, reject, unsubscribe: () => {} };
+
+            if (signal) {
+                const onAbort = () => {
+                    item.unsubscribe();
+                    pending = pending.filter(queued => queued !== item);
+                    reject(new CancelledError());
+                };
+
+                signal.addEventListener('abort', onAbort);
+                item.unsubscribe = () => signal.removeEventListener('abort', onAbort);
+            }
+
+            const index = pending.findIndex(queued => queued.priority < priority);
+            if (index === -1) {
+                pending.push(item);
+            } else {
+                pending.splice(index, 0, item);
+            }
+
+            next();
+        });
+    }
+
+    return {
+        schedule,
+        getRunningCount: () => running,
+        getPendingCount: () => pending.length
+    };
+}
@@ -0,0 +1,108 @@
+import { isPlainObject } from 'lodash';
+
+/**
+ * Default retry policy used when retries are enabled by `retry: true`.
+ * Retries are disabled unless enabled globally (`ajaxSetup`) or per request.
+ */
+export const DEFAULT_RETRY_POLICY = {
+    maxAttempts: 3,
+    baseDelay: 500,
+    maxDelay: 30000,
+    factor: 2,
+    jitter: true,
+    respectRetryAfter: true,
+    statuses: [429, 502, 503, 504],
+    methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']
+};
+
+/**
+ * Resolves retry policy from `retry` xhr setting
+ *
+ * @param {Boolean|Object} retry `true` for default policy, object to override
+ *                               default policy values, falsy to disable retries
+ * @return {Object|null} retry policy or null if retries are disabled
+ */
+export function getRetryPolicy(retry) {
+    if (retry === true) {
+        return DEFAULT_RETRY_POLICY;
+    }
+
+    if (isPlainObject(retry)) {
+        return { ...DEFAULT_RETRY_POLICY, ...retry };
+    }
+
+    return null;
+}
+
+function isRetryableMethod(policy, method = 'GET') {
+    return policy.methods.indexOf(method.toUpperCase()) !== -1;
+}
+
+/**
+ * Decides whether given attempt should be retried
+ *
+ * @param {Object} policy retry policy
+ * @param {String} method HTTP method of the request
+ * @param {Number} attempt number of the attempt which just finished (starting at 1)
+ * @param {Response} response response of the attempt, undefined for network failure
+ * @return {Boolean}
+ */
+export function shouldRetry(policy, method, attempt, response) {
+    if (!policy || attempt >= policy.maxAttempts || !isRetryableMethod(policy, method)) {
+        return false;
+    }
+
+    // network failure
+    if (!response) {
+        return true;
+    }
+
+    return policy.statuses.indexOf(response.status) !== -1;
+}
+
+/**
+ * Parses Retry-After header which can contain either delay in seconds or HTTP date
+ *
+ * @param {Response} response
+ * @return {Number|null} delay in miliseconds or null if header is missing or invalid
+ */
+export function parseRetryAfter(response) {
+    const value = response && response.headers && response.headers.get('Retry-After');
+
+    if (!value) {
+        return null;
+    }
+
+    if (/^\d+$/.test(value.trim())) {
+        return parseInt(value, 10) * 1000;
+    }
+
+    const date = Date.parse(value);
+    if (isNaN(date)) {
+        return null;
+    }
+
+    return Math.max(0, date - Date.now());
+}
+
+/**
+ * Computes delay before next attempt. Exponential backoff with optional
+ * full jitter is used unless server specifies Retry-After header.
+ * Delay never exceeds `maxDelay` of the policy.
+ *
+ * @param {Object} policy retry policy
+ * @param {Number} attempt number of the attempt which just finished (starting at 1)
+ * @param {Response} response response of the attempt, undefined for network failure
+ * @return {Number} delay in miliseconds
+ */
+export function getRetryDelay(policy, attempt, response) {
+    const retryAfter = policy.respectRetryAfter ? parseRetryAfter(response) : null;
+
+    if (retryAfter !== null) {
+        return Math.min(retryAfter, policy.maxDelay);
+    }
+
+    const backoff = Math.min(policy.baseDelay * (policy.factor ** (attempt - 1)), policy.maxDelay);
+
+    return policy.jitter ? Math.round(Math.random() * backoff) : backoff;
+}
@@ -0,0 +1,105 @@
+import { createEmitter } from './emitter';
+
+/**
+ * Session is anonymous until user logs in, authenticated while its tokens are valid
+ * and expired when SST can not be exchanged for TT anymore.
+ */
+export const SESSION_ANONYMOUS = 'anonymous';
+export const SESSION_AUTHENTICATED = 'authenticated';
+export const SESSION_EXPIRED = 'expired';
+
+// TT is valid for 10 minutes, keepalive refreshes it sooner
+const DEFAULT_KEEPALIVE_INTERVAL = 5 * 60 * 1000;
+
+/**
+ * Creates holder of session state of SDK instance
+ *
+ * @param {Function} ping function refreshing the session, called periodically by keepalive
+ * @return {Object} session
+ */
+export function createSession(ping) {
+    const emitter = createEmitter();
+    let state = { status: SESSION_ANONYMOUS, profile: undefined };
+    let keepaliveTimer;
+
+    function setState(status, profile) {
+        if (status === state.status && profile === state.profile) {
+            return;
+        }
+
+        state = { status, profile };
+        emitter.emit('change', state);
+    }
+
+    function stopKeepalive() {
+        if (keepaliveTimer) {
+            clearInterval(keepaliveTimer);
+            keepaliveTimer = undefined;
+        }
+    }
+
+    return {
+        /**
+         * @return {Object} `{ status, profile }` where profile is uri of user's profile when known
+         */
+        getState: () => state,
+
+        isAuthenticated: () => state.status === SESSION_AUTHENTICATED,
+
+        /**
+         * @param {Function} listener called with new state whenever it changes
+         * @return {Function} unsubscribe
+         */
+        subscribe: listener => emitter.on('change', listener),
+
+        unsubscribe(listener) {
+            emitter.off('change', listener);
+        },
+
+        /**
+         * @param {String} profile uri of user's profile, previously known profile is kept by default
+         */
+        authenticate(profile = state.profile) {
+            setState(SESSION_AUTHENTICATED, profile);
+        },
+
+        /**
+         * Marks authenticated session as expired and stops keepalive, anonymous session stays anonymous
+         */
+        expire() {
+            stopKeepalive();
+
+            if (state.status !== SESSION_ANONYMOUS) {
+                setState(SESSION_EXPIRED, state.profile);
+            }
+        },
+
+        /**
+         * Resets session to anonymous and stops keepalive
+         */
+        clear() {
+            stopKeepalive();
+            setState(SESSION_ANONYMOUS, undefined);
+        },
+
+        /**
+         * Starts calling ping periodically, running keepalive is restarted
+         *
+         * @param {Object} options
+         * @param {Number} options.interval interval in miliseconds, 5 minutes by default
+         */
+        startKeepalive({ interval = DEFAULT_KEEPALIVE_INTERVAL } = {}) {
+            stopKeepalive();
+            keepaliveTimer = setInterval(ping, interval);
+
+            // keepalive alone must not keep Node.js process running
+            if (keepaliveTimer.unref) {
+                keepaliveTimer.unref();
+            }
+        },
+
+        stopKeepalive,
+
+        isKeepaliveRunning: () => keepaliveTimer !== undefined
+    };
+}
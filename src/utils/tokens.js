@@ -0,0 +1,60 @@
+import { InvalidArgumentError } from '../errors';
+
+/**
+ * Authentication is based on Super Secured Token (SST) which is exchanged for short-lived
+ * Temporary Token (TT) by `/gdc/account/token` resource. Tokens are either kept by browser
+ * in cookies (cookie mode, default) or by SDK and sent in headers (header mode).
+ */
+export const TOKEN_MODE_COOKIE = 'cookie';
+export const TOKEN_MODE_HEADER = 'header';
+
+export const SST_HEADER = 'X-GDC-AuthSST';
+export const TT_HEADER = 'X-GDC-AuthTT';
+
+/**
+ * Creates holder of tokens of SDK instance
+ *
+ * @return {Object} token manager
+ */
+export function createTokenManager() {
+    let mode = TOKEN_MODE_COOKIE;
+    let superSecuredToken;
+    let temporaryToken;
+
+    return {
+        getMode: () => mode,
+
+        /**
+         * @param {String} newMode 'cookie' or 'header'
+         */
+        setMode(newMode) {
+            if (newMode !== TOKEN_MODE_COOKIE && newMode !== TOKEN_MODE_HEADER) {
+                throw new InvalidArgumentError(`Unknown token mode ${newMode}`);
+            }
+
+            mode = newMode;
+        },
+
+        isHeaderMode: () => mode === TOKEN_MODE_HEADER,
+
+        getSuperSecuredToken: () => superSecuredToken,
+
+        setSuperSecuredToken(token) {
+            superSecuredToken = token;
+        },
+
+        getTemporaryToken: () => temporaryToken,
+
+        setTemporaryToken(token) {
+            temporaryToken = token;
+        },
+
+        /**
+         * Forgets both tokens, mode is kept
+         */
+        clear() {
+            superSecuredToken = undefined;
+            temporaryToken = undefined;
+        }
+    };
+}
@@ -1,15 +1,37 @@
 // Copyright (C) 2007-2013, GoodData(R) Corporation. All rights reserved.
 import {
     isPlainObject,
+    isArray,
     isFunction,
-    has,
     set,
     merge,
-    result
+    without
 } from 'lodash';
 
 import * as config from './config';
-import fetch from './utils/fetch';
+import defaultFetch, { createResponse } from './utils/fetch';
+import { delay, cancellable } from './utils/promise';
+import {
+    GdcError,
+    CancelledError,
+    TimeoutError,
+    UnauthorizedError,
+    createHttpError,
+    rejectWithHttpError
+} from './errors';
+import { mergeHeaders, findHeader, hasHeader, removeHeader } from './utils/headers';
+import { getPollingDelay, isPollingExhausted } from './utils/polling';
+import { getRetryPolicy, shouldRetry, getRetryDelay } from './utils/retry';
+import { createQueue } from './utils/queue';
+import { createEmitter } from './utils/emitter';
+import { createTokenManager, SST_HEADER, TT_HEADER } from './utils/tokens';
+import {
+    createMemoryCache,
+    createCacheEntry,
+    getConditionalHeaders,
+    isCacheable,
+    isFresh
+} from './utils/cache';
 
 /**
  * Ajax wrapper around GDC authentication mechanisms, SST and TT token handling and polling.
@@ -19,24 +41,60 @@ import fetch from './utils/fetch';
  * is transparently returned to original call.
 
  * Additionally polling is handled. Only final result of polling returned.
+ * Functions exported by this module operate on the default SDK instance, see `createModule`.
  * @module xhr
  * @class xhr
  */
 
 const DEFAULT_POLL_DELAY = 1000;
 
-let tokenRequest;
-let commonXhrSettings = {};
+// all other requests of the instance wait for the token, so it must not wait in the queue behind them
+const TOKEN_REQUEST_PRIORITY = Infinity;
+
+let globalMaxConcurrentRequests;
+const globalQueue = createQueue(() => globalMaxConcurrentRequests);
 
 /**
- * Back compatible method for setting common XHR settings
- *
- * Usually in our apps we used beforeSend ajax callback to set the X-GDC-REQUEST header with unique ID.
+ * Limits number of concurrently sent requests of all SDK instances
  *
- * @param settings object XHR settings as
+ * @method setGlobalMaxConcurrentRequests
+ * @param {Number} limit max number of requests in flight, falsy value removes the limit
+ */
+export function setGlobalMaxConcurrentRequests(limit) {
+    globalMaxConcurrentRequests = limit;
+}
+
+export { createMemoryCache };
+
+const createCachedResponse = entry => createResponse(entry.body, {
+    status: entry.status,
+    statusText: entry.statusText,
+    headers: entry.headers
+});
+
+const DEFAULT_HEADERS = {
+    Accept: 'application/json; charset=utf-8',
+    'Content-Type': 'application/json'
+};
+
+const isInstanceOf = (value, type) => typeof type !== 'undefined' && value instanceof type;
+
+// Node stream is read while it is sent, request with it can not be sent again
+const isStreamBody = body => !!body && isFunction(body.pipe);
+
+/**
+ * Body which is sent as is and its Content-Type is derived from the body by fetch
+ * (FormData, Blob, URLSearchParams, binary data or Node stream)
  */
-export function ajaxSetup(settings) {
-    commonXhrSettings = Object.assign({}, commonXhrSettings, settings);
+function isRawBody(body) {
+    return !!body && (
+        isInstanceOf(body, global.FormData) ||
+        isInstanceOf(body, global.Blob) ||
+        isInstanceOf(body, global.URLSearchParams) ||
+        isInstanceOf(body, global.ArrayBuffer) ||
+        (typeof ArrayBuffer !== 'undefined' && ArrayBuffer.isView(body)) ||
+        isStreamBody(body)
+    );
 }
 
 function simulateBeforeSend(settings) {
@@ -66,181 +124,946 @@ function enrichSettingWithCustomDomain(originalUrl, originalSettings, domain) {
     return { url, settings };
 }
 
-function continueAfterTokenRequest(url, settings) {
-    return tokenRequest.then((response) => {
-        if (!response.ok) {
-            const err = new Error('Unauthorized');
-            err.response = response;
-            throw err;
-        }
-        tokenRequest = null;
+const REQUEST_ID_HEADER = 'X-GDC-REQUEST';
 
-        return ajax(url, settings); // eslint-disable-line no-use-before-define
-    }, (reason) => {
-        tokenRequest = null;
-        return reason;
-    });
-}
+/**
+ * Default generator of request IDs
+ *
+ * @method generateRequestId
+ * @return {String} random ID
+ */
+export const generateRequestId = () =>
+    `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`;
 
-function createSettings(customSettings) {
-    const settings = Object.assign({}, commonXhrSettings, customSettings);
+function createRequestId(settings) {
+    const { requestIdGenerator = generateRequestId, requestIdPrefix } = settings;
 
-    settings.headers = {
-        Accept: 'application/json; charset=utf-8',
-        'Content-Type': 'application/json'
-    };
+    if (!requestIdGenerator) {
+        return undefined;
+    }
+
+    const id = requestIdGenerator();
 
-    settings.pollDelay = (settings.pollDelay !== undefined) ? settings.pollDelay : DEFAULT_POLL_DELAY;
+    return requestIdPrefix ? `${requestIdPrefix}:${id}` : id;
+}
 
-    // TODO jquery compat - add to warnings
-    settings.body = (settings.data) ? settings.data : settings.body;
-    settings.mode = 'same-origin';
-    settings.credentials = 'same-origin';
+const getMethod = settings => (settings.method || 'GET').toUpperCase();
 
-    if (isPlainObject(settings.body)) {
-        settings.body = JSON.stringify(settings.body);
-    }
+function getRequestId(settings) {
+    const name = findHeader(settings.headers, REQUEST_ID_HEADER);
 
-    return settings;
+    return name ? settings.headers[name] : undefined;
 }
 
-function handleUnauthorized(originalUrl, originalSettings) {
-    if (!tokenRequest) {
-        // Create only single token request for any number of waiting request.
-        // If token request exist, just listen for it's end.
-        const { url, settings } = enrichSettingWithCustomDomain('/gdc/account/token', createSettings({}), config.domain);
-
-        tokenRequest = fetch(url, settings).then((response) => {
-            // tokenRequest = null;
-            // TODO jquery compat - allow to attach unauthorized callback and call it if attached
-            // if ((xhrObj.status === 401) && (isFunction(req.unauthorized))) {
-            //     req.unauthorized(xhrObj, textStatus, err, deferred);
-            //     return;
-            // }
-            // unauthorized handler is not defined or not http 401
-            // unauthorized when retrieving token -> not logged
-            if (response.status === 401) {
-                const err = new Error('Unauthorized');
-                err.response = response;
-                throw err;
-            }
-
-            return response;
-        });
-    }
-    return continueAfterTokenRequest(originalUrl, originalSettings);
+function isTokenRequest(url) {
+    return url.indexOf('/gdc/account/token') !== -1;
 }
 
+const LOGIN_URIS = ['/gdc/account/login', '/gdc/account/customerlogin', '/gdc/account/saml/login'];
+
 function isLoginRequest(url) {
-    return url.indexOf('/gdc/account/login') !== -1;
+    return LOGIN_URIS.some(uri => url.indexOf(uri) !== -1);
 }
 
+// responses of authentication endpoints describe current session, they must never be cached
+const isAuthRequest = url => isTokenRequest(url) || isLoginRequest(url);
+
 /**
  * @param {Response} response
  * @return {Promise} promise which resolves to result JSON ()
  */
 export const parseJSON = response => response.json();
 
+const getContentLength = (response) => {
+    const length = response.headers.get('Content-Length');
+
+    return length ? Number(length) : undefined;
+};
+
+/**
+ * Reads whole response body into Blob (Buffer in Node.js). Progress is reported while reading
+ * when fetch exposes readable body stream.
+ *
+ * @method readBlob
+ * @private
+ */
+function readBlob(response, onProgress) {
+    const reader = response.body && isFunction(response.body.getReader) && response.body.getReader();
+
+    if (!reader) {
+        return isFunction(response.blob) ? response.blob() : response.buffer();
+    }
+
+    const total = getContentLength(response);
+    const chunks = [];
+    let loaded = 0;
+
+    const read = () => reader.read().then(({ done, value }) => {
+        if (done) {
+            return new Blob(chunks, { type: response.headers.get('Content-Type') || '' });
+        }
+
+        chunks.push(value);
+        loaded += value.length;
+        onProgress({ loaded, total });
+
+        return read();
+    });
+
+    return read();
+}
+
 /**
  * @param {Response} response see https://developer.mozilla.org/en-US/docs/Web/API/Response
- * @return {Response} or {Error}
+ * @return {Response|Promise} response or promise rejected with HttpError (or its subtype)
  */
 const checkStatus = (response) => {
     if (response.status >= 200 && response.status < 399) {
         return response;
     }
 
-    if (response instanceof Error && has(response, 'response')) {
-        throw response;
-    }
-
-    const error = new Error(response.statusText);
-    error.response = response;
-    throw error;
+    return rejectWithHttpError(response);
 };
 
+/**
+ * Waits and repeats the request while the server responds with 202.
+ * Polling is configured by settings:
+ *  - pollDelay {Number|Function} base delay between polling requests
+ *  - pollBackoff {String} 'fixed' (default), 'linear' or 'exponential' growth of the delay
+ *  - pollMaxDelay {Number} upper limit of the delay
+ *  - pollMaxAttempts {Number} maximal number of polling requests
+ *  - pollTimeout {Number} maximal duration of polling in miliseconds
+ *  - onPoll {Function} progress callback called before every polling request
+ *    with `{ url, attempt, elapsed }`
+ *
+ * Polling exceeding its limits is rejected with `TimeoutError`.
+ *
+ * @method handlePolling
+ * @private
+ */
 export function handlePolling(url, settings, sendRequest) {
-    const pollingDelay = result(settings, 'pollDelay');
+    const { signal } = settings;
+    const attempt = (settings.pollAttempt || 0) + 1;
+    const pollStart = settings.pollStart || Date.now();
+    const elapsed = Date.now() - pollStart;
+
+    let pollingDelay = getPollingDelay(settings, attempt);
+    if (settings.pollTimeout !== undefined) {
+        pollingDelay = Math.max(0, Math.min(pollingDelay, settings.pollTimeout - elapsed));
+    }
 
     return new Promise((resolve, reject) => {
-        setTimeout(() => {
-            sendRequest(url, settings).then(resolve, reject);
+        if (signal && signal.aborted) {
+            reject(new CancelledError());
+            return;
+        }
+
+        if (isPollingExhausted(settings, attempt, elapsed)) {
+            reject(new TimeoutError(`Polling of ${url} timed out`, { url, attempts: attempt - 1, elapsed }));
+            return;
+        }
+
+        let timeout;
+        const onAbort = () => {
+            clearTimeout(timeout);
+            reject(new CancelledError());
+        };
+
+        timeout = setTimeout(() => {
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+
+            if (isFunction(settings.onPoll)) {
+                settings.onPoll({ url, attempt, elapsed: Date.now() - pollStart });
+            }
+
+            sendRequest(url, { ...settings, pollAttempt: attempt, pollStart }).then(resolve, reject);
         }, pollingDelay);
+
+        if (signal) {
+            signal.addEventListener('abort', onAbort);
+        }
     });
 }
 
-export function ajax(originalUrl, tempSettings = {}) {
-    const firstSettings = createSettings(tempSettings);
-    const { url, settings } = enrichSettingWithCustomDomain(originalUrl, firstSettings, config.domain);
+/**
+ * Creates xhr module with its own common settings, token state and interceptors
+ *
+ * @method createModule
+ * @param {Object} configStorage SDK configuration - custom `domain`
+ *                               and optional `fetch` implementation
+ * @return {Object} xhr module
+ */
+export function createModule(configStorage) {
+    const fetch = (url, settings) => (configStorage.fetch || defaultFetch)(url, settings);
+
+    let tokenRequest;
+    let sessionRecovery;
+    let commonXhrSettings = {};
+    const queue = createQueue(() => commonXhrSettings.maxConcurrentRequests);
+    const pendingGets = {};
+    const defaultCacheStorage = createMemoryCache();
+    const emitter = createEmitter();
+    /**
+     * Tokens are kept in cookies by default. In header mode (`tokens.setMode('header')`) SDK keeps
+     * Super Secured Token (SST, see `tokens.setSuperSecuredToken` or `user.login`) and Temporary Token (TT)
+     * itself and sends them in X-GDC-AuthSST and X-GDC-AuthTT headers. Expired TT is refreshed
+     * transparently in both modes, expired SST is announced by `sst:expired` event.
+     *
+     * @property tokens
+     */
+    const tokens = createTokenManager();
+    let interceptors = {
+        request: [],
+        response: [],
+        error: []
+    };
+
+    /**
+     * Back compatible method for setting common XHR settings
+     *
+     * Usually in our apps we used beforeSend ajax callback to set the X-GDC-REQUEST header with unique ID,
+     * it is generated automatically now (see `requestIdPrefix` and `requestIdGenerator` settings).
+     * Headers set here are merged with default headers and headers of each request,
+     * per request headers take precedence.
+     *
+     * Besides defaults of `ajax` settings, common settings configure the instance:
+     *  - maxConcurrentRequests {Number} limit of requests in flight, requests over it wait in queue
+     *    ordered by their `priority`, see also `setGlobalMaxConcurrentRequests`
+     *  - dedupe {Boolean} concurrent identical GET requests share one request, see `get`
+     *  - cacheTtl {Number} time in miliseconds for which cached response is used without any request,
+     *    without it cached responses with ETag or Last-Modified header are revalidated by conditional
+     *    requests and 304 responses are replaced by the cached ones
+     *  - cacheStorage {Object} storage of cached responses, see `createMemoryCache` and `clearCache`
+     *  - requestIdPrefix {String} prefix of generated request IDs (`prefix:id`)
+     *  - onSessionExpired {Function} called with UnauthorizedError when token can not be refreshed,
+     *    once for all requests waiting for the token or failing while it is in progress. It is called
+     *    after the token request finished, so it can log in again by the same instance. Handler can
+     *    return a promise (e.g. of re-login) after which waiting requests are retried, or `false`
+     *    to reject them with the UnauthorizedError. Without the handler waiting requests are rejected.
+     *
+     * @param settings object XHR settings as
+     */
+    function ajaxSetup(settings) {
+        commonXhrSettings = Object.assign({}, commonXhrSettings, settings);
+    }
+
+    /**
+     * Registers listener of request lifecycle event. Exceptions thrown by listeners are ignored.
+     * Events and their payloads:
+     *  - `request:start` `{ url, method, requestId }` before request is sent
+     *  - `request:end` `{ url, method, requestId, status, duration }` when response is received,
+     *    `error` instead of `status` when request failed on network level
+     *  - `token:refresh` `{ url, status, duration }` when token refresh finished
+     *  - `sst:expired` `{ url, status }` when token can not be refreshed because SST is missing or expired
+     *  - `poll:attempt` `{ url, attempt, elapsed, requestId }` before polling request is sent
+     *  - `error` `{ url, method, requestId, status, error }` when `ajax` request fails
+     * Every retry, polling and token request is a separate request with its own `request:*` events.
+     *
+     * @method on
+     * @param {String} event
+     * @param {Function} listener
+     * @return {Function} function which unregisters the listener
+     */
+    const on = (event, listener) => emitter.on(event, listener);
+
+    /**
+     * Unregisters listener registered by `on`
+     *
+     * @method off
+     * @param {String} event
+     * @param {Function} listener
+     */
+    const off = (event, listener) => emitter.off(event, listener);
+
+    function addInterceptor(type, interceptor) {
+        interceptors = { ...interceptors, [type]: [...interceptors[type], interceptor] };
+
+        return () => {
+            interceptors = { ...interceptors, [type]: without(interceptors[type], interceptor) };
+        };
+    }
+
+    /**
+     * Registers function called before every request is sent (including token refresh,
+     * retry and polling requests). Interceptor receives `(url, settings)` and can return
+     * (or resolve with) `{ url, settings }` to replace them. Returning nothing keeps the request unchanged.
+     *
+     * @method addRequestInterceptor
+     * @param {Function} interceptor
+     * @return {Function} function which unregisters the interceptor
+     */
+    const addRequestInterceptor = interceptor => addInterceptor('request', interceptor);
+
+    /**
+     * Registers function called with every received response before it is processed by SDK.
+     * Interceptor receives `(response, { url, settings })` and can return (or resolve with)
+     * a Response to replace it. Returning nothing keeps the response unchanged.
+     *
+     * @method addResponseInterceptor
+     * @param {Function} interceptor
+     * @return {Function} function which unregisters the interceptor
+     */
+    const addResponseInterceptor = interceptor => addInterceptor('response', interceptor);
+
+    /**
+     * Registers function called when `ajax` request fails. Interceptor receives
+     * `(error, { url, settings })` of the original request, its return value is ignored
+     * and the error is always propagated to the caller.
+     *
+     * @method addErrorInterceptor
+     * @param {Function} interceptor
+     * @return {Function} function which unregisters the interceptor
+     */
+    const addErrorInterceptor = interceptor => addInterceptor('error', interceptor);
+
+    function interceptRequest(url, settings) {
+        return interceptors.request.reduce((promise, interceptor) =>
+            promise.then(current =>
+                Promise.resolve(interceptor(current.url, current.settings)).then(intercepted => intercepted || current)
+            ), Promise.resolve({ url, settings }));
+    }
+
+    function interceptResponse(response, request) {
+        return interceptors.response.reduce((promise, interceptor) =>
+            promise.then(current =>
+                Promise.resolve(interceptor(current, request)).then(intercepted => intercepted || current)
+            ), Promise.resolve(response));
+    }
+
+    function notifyError(error, request) {
+        interceptors.error.forEach((interceptor) => {
+            try {
+                interceptor(error, request);
+            } catch (e) {
+                // error interceptors are observers only, they must not change the outcome of the request
+            }
+        });
+    }
+
+    function observedFetch(url, settings) {
+        const request = { url, method: getMethod(settings), requestId: getRequestId(settings) };
+        const start = Date.now();
+
+        emitter.emit('request:start', request);
+
+        return fetch(url, settings).then((response) => {
+            emitter.emit('request:end', { ...request, status: response.status, duration: Date.now() - start });
+            return response;
+        }, (error) => {
+            emitter.emit('request:end', { ...request, error, duration: Date.now() - start });
+            throw error;
+        });
+    }
+
+    function queuedFetch(url, settings) {
+        const options = { priority: settings.priority, signal: settings.signal };
+
+        return queue.schedule(() => globalQueue.schedule(() => observedFetch(url, settings), options), options);
+    }
+
+    function interceptedFetch(url, settings) {
+        const send = intercepted =>
+            queuedFetch(intercepted.url, intercepted.settings)
+                .then(response => interceptResponse(response, intercepted));
+
+        // without request interceptors the request is sent synchronously
+        if (!interceptors.request.length) {
+            return send({ url, settings });
+        }
+
+        return interceptRequest(url, settings).then(send);
+    }
+
+    function createSettings(customSettings) {
+        const settings = Object.assign({}, commonXhrSettings, customSettings);
+
+        // TODO jquery compat - add to warnings
+        settings.body = (settings.data) ? settings.data : settings.body;
+
+        const callerHeaders = mergeHeaders(
+            commonXhrSettings.headers,
+            customSettings.headers,
+            settings.contentType ? { 'Content-Type': settings.contentType } : {}
+        );
+
+        settings.headers = mergeHeaders(DEFAULT_HEADERS, callerHeaders);
+
+        if (isRawBody(settings.body)) {
+            if (!hasHeader(callerHeaders, 'Content-Type')) {
+                settings.headers = removeHeader(settings.headers, 'Content-Type');
+            }
+        } else if (isPlainObject(settings.body) || isArray(settings.body)) {
+            settings.body = JSON.stringify(settings.body);
+        }
+
+        settings.pollDelay = (settings.pollDelay !== undefined) ? settings.pollDelay : DEFAULT_POLL_DELAY;
+
+        settings.mode = 'same-origin';
+        settings.credentials = 'same-origin';
+
+        return settings;
+    }
+
+    function applyTokenHeaders(url, settings) {
+        if (!tokens.isHeaderMode()) {
+            return;
+        }
+
+        const headers = removeHeader(removeHeader(settings.headers, SST_HEADER), TT_HEADER);
+        const token = isTokenRequest(url) ? tokens.getSuperSecuredToken() : tokens.getTemporaryToken();
+        const header = isTokenRequest(url) ? SST_HEADER : TT_HEADER;
+
+        settings.headers = token ? { ...headers, [header]: token } : headers; // eslint-disable-line no-param-reassign
+    }
+
+    function storeTemporaryToken(response) {
+        if (!tokens.isHeaderMode() || !response.ok) {
+            return Promise.resolve(response);
+        }
+
+        return response.clone().json().then((result) => {
+            tokens.setTemporaryToken(result.userToken && result.userToken.token);
+            return response;
+        });
+    }
+
+    // token can not be refreshed because SST is missing or expired
+    const isSessionExpired = err => err instanceof UnauthorizedError && err.status === 401;
+
+    /**
+     * Calls `onSessionExpired` handler, requests failing while the handler is in progress
+     * share the recovery. Handler runs when token request is finished, so requests it sends
+     * (e.g. login) are not blocked by the requests waiting for it.
+     *
+     * @method recoverSession
+     * @private
+     */
+    function recoverSession(error) {
+        if (!sessionRecovery) {
+            const { onSessionExpired } = commonXhrSettings;
+
+            if (!isFunction(onSessionExpired)) {
+                return Promise.reject(error);
+            }
+
+            const recovery = Promise.resolve()
+                .then(() => onSessionExpired(error))
+                .then((result) => {
+                    if (result === false) {
+                        throw error;
+                    }
+                });
+            const forget = () => {
+                if (sessionRecovery === recovery) {
+                    sessionRecovery = null;
+                }
+            };
+
+            sessionRecovery = recovery;
+            recovery.then(forget, forget);
+        }
+
+        return sessionRecovery;
+    }
+
+    /**
+     * Refreshes TT, concurrent callers share one token request
+     *
+     * @method requestToken
+     * @private
+     * @param {String} requestId ID of the request which triggered the refresh, token request ID
+     *                           is derived from it so the refresh can be traced to the request
+     */
+    function requestToken(requestId) {
+        if (!tokenRequest) {
+            // Create only single token request for any number of waiting request.
+            // If token request exist, just listen for it's end.
+            const { url, settings } = enrichSettingWithCustomDomain(
+                '/gdc/account/token',
+                createSettings({
+                    priority: TOKEN_REQUEST_PRIORITY,
+                    headers: {
+                        [REQUEST_ID_HEADER]: requestId ? `${requestId}:token` : createRequestId(commonXhrSettings)
+                    }
+                }),
+                configStorage.domain
+            );
+
+            applyTokenHeaders(url, settings);
+
+            const start = Date.now();
+
+            const request = interceptedFetch(url, settings).then((response) => {
+                emitter.emit('token:refresh', { url, status: response.status, duration: Date.now() - start });
+
+                // unauthorized when retrieving token -> session expired
+                if (response.status === 401) {
+                    emitter.emit('sst:expired', { url, status: response.status });
+                    return rejectWithHttpError(response);
+                }
 
-    simulateBeforeSend(settings);
+                if (!response.ok) {
+                    return createHttpError(response).then((err) => {
+                        throw new UnauthorizedError(err.message, err.response, err.body);
+                    });
+                }
 
-    if (tokenRequest) {
-        return continueAfterTokenRequest(url, settings);
+                return storeTemporaryToken(response);
+            });
+            // registered before handlers of waiting requests, so their retries do not wait again
+            const forget = () => {
+                if (tokenRequest === request) {
+                    tokenRequest = null;
+                }
+            };
+
+            tokenRequest = request;
+            request.then(forget, forget);
+        }
+
+        return tokenRequest;
+    }
+
+    /**
+     * Retries the request when the token is refreshed. When session is expired, the request
+     * is retried after `onSessionExpired` handler recovers it.
+     *
+     * @method continueAfterTokenRequest
+     * @private
+     */
+    function continueAfterTokenRequest(url, settings) {
+        /* eslint-disable no-use-before-define */
+        return requestToken(getRequestId(settings)).then(() => ajaxRequest(url, settings), (err) => {
+            // request retried after session recovery must not start another recovery
+            if (!isSessionExpired(err) || settings.sessionRecovered) {
+                throw err;
+            }
+
+            return recoverSession(err).then(() => ajaxRequest(url, { ...settings, sessionRecovered: true }));
+        });
+        /* eslint-enable no-use-before-define */
     }
 
-    return fetch(url, settings).then((response) => {
-        // If response.status id 401 and it was a login request there is no need
-        // to cycle back for token - login does not need token and this meand you
-        // are not authorized
-        if (response.status === 401) {
-            if (isLoginRequest(url)) {
-                const err = new Error('Unauthorized');
-                err.response = response;
+    /**
+     * Exchanges SST for new TT. In header mode the TT is stored and sent with subsequent requests,
+     * in cookie mode it is stored in cookies by browser.
+     *
+     * @method refreshTemporaryToken
+     * @return {Promise} promise resolved with TT in header mode (undefined in cookie mode)
+     *                   or rejected with UnauthorizedError when SST is missing or expired
+     */
+    function refreshTemporaryToken() {
+        return requestToken().then(() => tokens.getTemporaryToken(), (err) => {
+            // refresh during recovery is likely part of it (re-login in header mode)
+            if (!isSessionExpired(err) || sessionRecovery) {
                 throw err;
             }
 
-            return handleUnauthorized(url, settings);
+            return recoverSession(err).then(() => tokens.getTemporaryToken());
+        });
+    }
+
+    function fetchWithRetry(url, settings, attempt = 1) {
+        const policy = isStreamBody(settings.body) ? null : getRetryPolicy(settings.retry);
+
+        const retry = response =>
+            delay(getRetryDelay(policy, attempt, response), settings.signal)
+                .then(() => fetchWithRetry(url, settings, attempt + 1));
+
+        return cancellable(interceptedFetch(url, settings), settings.signal).then((response) => {
+            if (shouldRetry(policy, settings.method, attempt, response)) {
+                return retry(response);
+            }
+
+            return response;
+        }, (err) => {
+            if (settings.signal && settings.signal.aborted) {
+                throw new CancelledError();
+            }
+
+            if (shouldRetry(policy, settings.method, attempt)) {
+                return retry();
+            }
+
+            throw err;
+        });
+    }
+
+    function cachedFetch(url, settings) {
+        if (!settings.cache || isAuthRequest(url)) {
+            return fetchWithRetry(url, settings);
+        }
+
+        const storage = settings.cacheStorage || defaultCacheStorage;
+
+        if (settings.method && settings.method.toUpperCase() !== 'GET') {
+            return fetchWithRetry(url, settings).then((response) => {
+                if (!response.ok) {
+                    return response;
+                }
+
+                return Promise.resolve(storage.delete(url)).then(() => response);
+            });
         }
 
-        if (response.status === 202 && !settings.dontPollOnResult) {
-            // if the response is 202 and Location header is not empty, let's poll on the new Location
-            let finalUrl = url;
-            const finalSettings = settings;
-            if (response.headers.has('Location')) {
-                finalUrl = response.headers.get('Location');
+        return Promise.resolve(storage.get(url)).then((entry) => {
+            if (entry && isFresh(entry, settings.cacheTtl)) {
+                return createCachedResponse(entry);
             }
-            finalSettings.method = 'GET';
-            delete finalSettings.data;
-            delete finalSettings.body;
-            return handlePolling(finalUrl, finalSettings, ajax);
+
+            const conditionalSettings = entry ?
+                { ...settings, headers: mergeHeaders(settings.headers, getConditionalHeaders(entry)) } :
+                settings;
+
+            return fetchWithRetry(url, conditionalSettings).then((response) => {
+                if (response.status === 304 && entry) {
+                    const revalidated = { ...entry, storedAt: Date.now() };
+
+                    return Promise.resolve(storage.set(url, revalidated))
+                        .then(() => createCachedResponse(revalidated));
+                }
+
+                if (isCacheable(response, settings.cacheTtl)) {
+                    return createCacheEntry(response).then(created =>
+                        Promise.resolve(storage.set(url, created)).then(() => createCachedResponse(created))
+                    );
+                }
+
+                return response;
+            });
+        });
+    }
+
+    function ajaxRequest(originalUrl, tempSettings = {}) {
+        const firstSettings = createSettings(tempSettings);
+        const { url, settings } = enrichSettingWithCustomDomain(originalUrl, firstSettings, configStorage.domain);
+
+        applyTokenHeaders(url, settings);
+        simulateBeforeSend(settings);
+
+        if (settings.signal && settings.signal.aborted) {
+            return Promise.reject(new CancelledError());
         }
-        return response;
-    }).then(checkStatus);
-}
 
-function xhrMethod(method) {
-    return function methodFn(url, settings) {
-        const opts = merge({ method }, settings);
+        if (tokenRequest) {
+            return cancellable(continueAfterTokenRequest(url, settings), settings.signal);
+        }
+
+        return cachedFetch(url, settings).then((response) => {
+            // If response.status id 401 and it was a login request there is no need
+            // to cycle back for token - login does not need token and this meand you
+            // are not authorized
+            if (response.status === 401) {
+                // token request can not be recovered by refreshing the token either (e.g. `isLoggedIn` check)
+                if (isLoginRequest(url) || isTokenRequest(url)) {
+                    return rejectWithHttpError(response);
+                }
+
+                if (isStreamBody(settings.body)) {
+                    return createHttpError(response).then((err) => {
+                        throw new UnauthorizedError(
+                            'Request with stream body can not be sent again after token refresh, ' +
+                            'refresh the token (refreshTemporaryToken) before sending it',
+                            err.response,
+                            err.body
+                        );
+                    });
+                }
+
+                return continueAfterTokenRequest(url, settings);
+            }
+
+            if (response.status === 202 && !settings.dontPollOnResult) {
+                // if the response is 202 and Location header is not empty, let's poll on the new Location
+                let finalUrl = url;
+                const finalSettings = settings;
+                if (response.headers.has('Location')) {
+                    finalUrl = response.headers.get('Location');
+                }
+                finalSettings.method = 'GET';
+                delete finalSettings.data;
+                delete finalSettings.body;
+                return handlePolling(finalUrl, finalSettings, pollRequest); // eslint-disable-line no-use-before-define
+            }
+            return response;
+        }).then(checkStatus);
+    }
+
+    function pollRequest(url, settings) {
+        emitter.emit('poll:attempt', {
+            url,
+            attempt: settings.pollAttempt,
+            elapsed: Date.now() - settings.pollStart,
+            requestId: getRequestId(settings)
+        });
+
+        return ajaxRequest(url, settings);
+    }
+
+    function withRequestId(settings) {
+        if (hasHeader(commonXhrSettings.headers, REQUEST_ID_HEADER) || hasHeader(settings.headers, REQUEST_ID_HEADER)) {
+            return settings;
+        }
+
+        const requestId = createRequestId({ ...commonXhrSettings, ...settings });
+
+        return { ...settings, headers: mergeHeaders(settings.headers, { [REQUEST_ID_HEADER]: requestId }) };
+    }
+
+    /**
+     * Sends request, handles expired token and polling. Request settings (defaults can be set by `ajaxSetup`):
+     *  - retry {Boolean|Object} retries transient failures (network errors, 429, 502, 503, 504) with
+     *    exponential backoff, `true` for default policy or object overriding its `maxAttempts`, `baseDelay`,
+     *    `maxDelay`, `factor`, `jitter`, `respectRetryAfter`, `statuses` and `methods`. Only idempotent
+     *    methods are retried by default, requests with stream body are never sent again
+     *  - signal {AbortSignal} aborting the signal stops pending retry or polling and rejects the request
+     *    with CancelledError
+     *  - contentType {String} Content-Type of the body. Plain object bodies are sent as JSON, FormData,
+     *    Blob, URLSearchParams, binary data and Node streams as they are with type derived from the body
+     *  - priority {Number} position in queue of requests over `maxConcurrentRequests`, higher first (0)
+     *  - cache {Boolean} GET response is cached, see `ajaxSetup` for cache settings. Successful non-GET
+     *    request removes cached response of its url, responses of login and token requests are never cached
+     *  - requestIdGenerator {Function|Boolean} function generating request IDs, `false` disables them
+     *  - polling settings, see `handlePolling`
+     *
+     * Request is sent with X-GDC-REQUEST header containing unique ID unless the header is set by caller.
+     * The ID is kept across retries and polling of the request, token refresh triggered by the request
+     * is sent with ID derived from it.
+     *
+     * @method ajax
+     * @param {String} url
+     * @param {Object} settings
+     * @return {Promise} promise resolved with Response or rejected with HttpError (or its subtype by status:
+     *                   UnauthorizedError, NotFoundError, ValidationError - see `errors` module),
+     *                   CancelledError or TimeoutError. Errors carry `requestId` of the request
+     *                   unless server reported its own.
+     */
+    function ajax(url, customSettings = {}) {
+        const settings = withRequestId(customSettings);
+
+        return ajaxRequest(url, settings).catch((err) => {
+            // ID reported by server is preferred, network errors and timeouts get ID of the request
+            const requestId = err.requestId ||
+                getRequestId({ headers: mergeHeaders(commonXhrSettings.headers, settings.headers) });
+
+            if (err instanceof Error && requestId) {
+                err.requestId = requestId; // eslint-disable-line no-param-reassign
+            }
+
+            notifyError(err, { url, settings });
+            emitter.emit('error', {
+                url,
+                method: getMethod(settings),
+                requestId,
+                status: err.status,
+                error: err
+            });
+            throw err;
+        });
+    }
+
+    /**
+     * Removes all responses cached by the instance - in its default storage and in `cacheStorage`
+     * set by `ajaxSetup` (when the storage implements `clear`). Storage passed to single requests
+     * has to be cleared by its owner. SDK clears the cache on login and logout.
+     *
+     * @method clearCache
+     * @return {Promise} promise resolved when the storages are cleared
+     */
+    function clearCache() {
+        const { cacheStorage } = commonXhrSettings;
+        const storages = cacheStorage && cacheStorage !== defaultCacheStorage ?
+            [defaultCacheStorage, cacheStorage] :
+            [defaultCacheStorage];
+
+        return Promise.all(storages
+            .filter(storage => isFunction(storage.clear))
+            .map(storage => storage.clear())
+        ).then(() => undefined);
+    }
+
+    function xhrMethod(method) {
+        return function methodFn(url, settings) {
+            const opts = merge({ method }, settings);
+
+            return ajax(url, opts);
+        };
+    }
+
+    function sharedGet(url, settings) {
+        const { signal, ...sharedSettings } = settings;
+        const key = `${url} ${JSON.stringify(settings.headers || {})}`;
+
+        if (!pendingGets[key]) {
+            const forget = () => {
+                delete pendingGets[key];
+            };
+
+            // shared request is not cancelled by signal of any caller, see below
+            pendingGets[key] = ajax(url, sharedSettings).then(parseJSON);
+            pendingGets[key].then(forget, forget);
+        }
+
+        return cancellable(pendingGets[key], signal);
+    }
 
-        return ajax(url, opts);
+    /**
+     * Wrapper for xhr.ajax method GET
+     *
+     * With `dedupe` setting, GET sent while identical one (same url and headers) is in flight
+     * is not sent again and resolves with the same parsed result - callers must not modify it.
+     * Aborting `signal` of such request rejects only the aborting caller, shared request continues.
+     *
+     * @method get
+     */
+    const get = (url, settings) => {
+        const opts = merge({ method: 'GET' }, settings);
+        const dedupe = opts.dedupe !== undefined ? opts.dedupe : commonXhrSettings.dedupe;
+
+        if (dedupe) {
+            return sharedGet(url, opts);
+        }
+
+        return ajax(url, opts).then(parseJSON);
     };
-}
 
-/**
- * Wrapper for xhr.ajax method GET
- * @method get
- */
-export const get = (url, settings) => {
-    const opts = merge({ method: 'GET' }, settings);
+    /**
+     * Wrapper for xhr.ajax method POST
+     * @method post
+     */
+    const post = xhrMethod('POST');
 
-    return ajax(url, opts).then(parseJSON);
-};
+    /**
+     * Wrapper for xhr.ajax method PUT
+     * @method put
+     */
+    const put = xhrMethod('PUT');
 
-/**
- * Wrapper for xhr.ajax method POST
- * @method post
- */
-export const post = xhrMethod('POST');
+    /**
+     * Wrapper for xhr.ajax method DELETE
+     * @method delete
+     */
+    const del = xhrMethod('DELETE');
 
-/**
- * Wrapper for xhr.ajax method PUT
- * @method put
- */
-export const put = xhrMethod('PUT');
+    /**
+     * Downloads file (e.g. PDF, XLSX or CSV export). Request is sent like any other GET request
+     * including polling while the server responds with 202 and token handling, but it accepts
+     * any content type and its response is not cached.
+     *
+     * Progress callback `onDownloadProgress` setting is called with `{ loaded, total }` in bytes,
+     * see `getBlob` and `getStream`.
+     *
+     * @method download
+     * @param {String} url
+     * @param {Object} settings
+     * @return {Promise} promise resolved with response of the file, its body is not read
+     */
+    function download(url, settings = {}) {
+        return ajax(url, {
+            method: 'GET',
+            ...settings,
+            cache: false,
+            headers: mergeHeaders({ Accept: '*/*' }, settings.headers)
+        });
+    }
 
-/**
- * Wrapper for xhr.ajax method DELETE
- * @method delete
- */
-export const del = xhrMethod('DELETE');
+    /**
+     * Downloads file into Blob (Buffer in Node.js). Progress is reported while the file is read
+     * in Node.js and in browsers supporting streamed response bodies, otherwise when the file
+     * is complete.
+     *
+     * @method getBlob
+     * @param {String} url
+     * @param {Object} settings see `download`
+     * @return {Promise} promise resolved with Blob or Buffer
+     */
+    function getBlob(url, settings = {}) {
+        const { onDownloadProgress } = settings;
+        let loaded;
+
+        const reportProgress = (progress) => {
+            loaded = progress.loaded;
+
+            if (onDownloadProgress) {
+                onDownloadProgress(progress);
+            }
+        };
+
+        return download(url, { ...settings, onDownloadProgress: reportProgress }).then(response =>
+            readBlob(response, reportProgress).then((blob) => {
+                const total = getContentLength(response);
+
+                if (total !== undefined && loaded !== total) {
+                    reportProgress({ loaded: total, total });
+                }
+
+                return blob;
+            })
+        );
+    }
+
+    /**
+     * Downloads file as readable stream - Node.js stream in Node.js, ReadableStream in browsers
+     * supporting streamed response bodies. Progress is reported in Node.js as the stream is consumed.
+     *
+     * @method getStream
+     * @param {String} url
+     * @param {Object} settings see `download`
+     * @return {Promise} promise resolved with the stream
+     */
+    function getStream(url, settings = {}) {
+        return download(url, settings).then((response) => {
+            if (!response.body) {
+                throw new GdcError('Response body can not be streamed by current fetch implementation');
+            }
+
+            return response.body;
+        });
+    }
+
+    return {
+        ajaxSetup,
+        addRequestInterceptor,
+        addResponseInterceptor,
+        addErrorInterceptor,
+        on,
+        off,
+        clearCache,
+        tokens,
+        refreshTemporaryToken,
+        ajax,
+        get,
+        post,
+        put,
+        del,
+        download,
+        getBlob,
+        getStream,
+        parseJSON,
+        handlePolling
+    };
+}
+
+const defaultModule = createModule(config);
+
+export const {
+    ajaxSetup,
+    addRequestInterceptor,
+    addResponseInterceptor,
+    addErrorInterceptor,
+    on,
+    off,
+    clearCache,
+    tokens,
+    refreshTemporaryToken,
+    ajax,
+    get,
+    post,
+    put,
+    del,
+    download,
+    getBlob,
+    getStream
+} = defaultModule;
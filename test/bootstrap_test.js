@@ -0,0 +1,114 @@
+// Copyright (C) 2007-2017, GoodData(R) Corporation. All rights reserved.
+import fetchMock from './utils/fetch-mock';
+import * as bootstrap from '../src/bootstrap';
+
+describe('bootstrap', () => {
+    const bootstrapResource = {
+        accountSetting: {
+            login: 'john@example.com',
+            firstName: 'John',
+            lastName: 'Doe',
+            links: { self: '/gdc/account/profile/john' }
+        },
+        current: {
+            project: { links: { self: '/gdc/projects/myproject' } },
+            loginMD5: 'md5',
+            timezone: { id: 'Europe/Prague' },
+            featureFlags: { enableCsvUploader: true },
+            projectPermissions: {
+                permissions: { canCreateReport: '1', canManageProject: '0' }
+            }
+        },
+        settings: {
+            organizationName: 'ACME',
+            whiteLabeling: { enabled: true, applicationTitle: 'Analytics' }
+        }
+    };
+
+    beforeEach(() => {
+        fetchMock.mock('/gdc/app/account/bootstrap', { status: 200, body: JSON.stringify({ bootstrapResource }) });
+    });
+
+    afterEach(() => {
+        fetchMock.restore();
+        bootstrap.clearCache();
+    });
+
+    it('should fetch bootstrap once', () => {
+        return Promise.all([
+            bootstrap.getCurrentUser(),
+            bootstrap.getTimezone()
+        ])
+            .then(() => bootstrap.getPermissions())
+            .then(() => {
+                expect(fetchMock.calls('/gdc/app/account/bootstrap')).to.have.length(1);
+            });
+    });
+
+    it('should fetch bootstrap again after clearing cache', () => {
+        return bootstrap.getBootstrap()
+            .then(() => {
+                bootstrap.clearCache();
+                return bootstrap.getBootstrap();
+            })
+            .then(() => {
+                expect(fetchMock.calls('/gdc/app/account/bootstrap')).to.have.length(2);
+            });
+    });
+
+    it('should cache bootstrap per project', () => {
+        fetchMock.mock('/gdc/app/account/bootstrap?projectId=other', {
+            status: 200,
+            body: JSON.stringify({ bootstrapResource: { current: { timezone: { id: 'UTC' } } } })
+        });
+
+        return Promise.all([
+            bootstrap.getTimezone('other'),
+            bootstrap.getTimezone(),
+            bootstrap.getTimezone('other')
+        ]).then(([other, current]) => {
+            expect(other).to.eql({ id: 'UTC' });
+            expect(current).to.eql({ id: 'Europe/Prague' });
+            expect(fetchMock.calls('/gdc/app/account/bootstrap?projectId=other')).to.have.length(1);
+        });
+    });
+
+    it('should not cache failed request', () => {
+        fetchMock.mock('/gdc/app/account/bootstrap?projectId=failing', 500);
+
+        return bootstrap.getBootstrap('failing')
+            .then(() => {
+                expect().fail('Should reject');
+            }, () => bootstrap.getBootstrap('failing').catch(() => {}))
+            .then(() => {
+                expect(fetchMock.calls('/gdc/app/account/bootstrap?projectId=failing')).to.have.length(2);
+            });
+    });
+
+    it('should provide typed accessors', () => {
+        return Promise.all([
+            bootstrap.getCurrentUser(),
+            bootstrap.getCurrentProject(),
+            bootstrap.getCurrentProjectId(),
+            bootstrap.getFeatureFlags(),
+            bootstrap.getOrganizationSettings(),
+            bootstrap.getWhiteLabeling(),
+            bootstrap.getPermissions()
+        ]).then(([currentUser, project, projectId, featureFlags, organization, whiteLabeling, permissions]) => {
+            expect(currentUser).to.eql({
+                login: 'john@example.com',
+                loginMD5: 'md5',
+                firstName: 'John',
+                lastName: 'Doe',
+                organizationName: 'ACME',
+                profileUri: '/gdc/account/profile/john'
+            });
+            expect(project).to.eql(bootstrapResource.current.project);
+            expect(projectId).to.be('myproject');
+            expect(featureFlags).to.eql({ enableCsvUploader: true });
+            expect(organization.organizationName).to.be('ACME');
+            expect(whiteLabeling).to.eql({ enabled: true, applicationTitle: 'Analytics' });
+            expect(permissions).to.eql({ canCreateReport: true, canManageProject: false });
+        });
+    });
+});
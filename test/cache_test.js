@@ -0,0 +1,90 @@
+// Copyright (C) 2007-2017, GoodData(R) Corporation. All rights reserved.
+import {
+    createMemoryCache,
+    createCacheEntry,
+    getConditionalHeaders,
+    isCacheable,
+    isFresh
+} from '../src/utils/cache';
+
+describe('cache', () => {
+    describe('createMemoryCache', () => {
+        it('should store entries', () => {
+            const cache = createMemoryCache();
+
+            cache.set('/a', { body: 'a' });
+
+            expect(cache.get('/a')).to.eql({ body: 'a' });
+            expect(cache.get('/b')).to.be(undefined);
+
+            cache.delete('/a');
+            expect(cache.get('/a')).to.be(undefined);
+        });
+
+        it('should evict least recently used entry', () => {
+            const cache = createMemoryCache({ maxEntries: 2 });
+
+            cache.set('/a', { body: 'a' });
+            cache.set('/b', { body: 'b' });
+            cache.get('/a');
+            cache.set('/c', { body: 'c' });
+
+            expect(cache.size()).to.be(2);
+            expect(cache.get('/a')).to.eql({ body: 'a' });
+            expect(cache.get('/b')).to.be(undefined);
+            expect(cache.get('/c')).to.eql({ body: 'c' });
+        });
+    });
+
+    describe('isCacheable', () => {
+        it('should accept successful response with validators', () => {
+            expect(isCacheable(new Response('', { status: 200, headers: { ETag: '"1"' } }), 0)).to.be(true);
+            expect(isCacheable(new Response('', {
+                status: 200,
+                headers: { 'Last-Modified': 'Wed, 21 Oct 2015 07:28:00 GMT' }
+            }), 0)).to.be(true);
+        });
+
+        it('should accept successful response with ttl', () => {
+            expect(isCacheable(new Response('', { status: 200 }), 1000)).to.be(true);
+            expect(isCacheable(new Response('', { status: 200 }), 0)).to.be(false);
+        });
+
+        it('should reject unsuccessful response', () => {
+            expect(isCacheable(new Response('', { status: 404, headers: { ETag: '"1"' } }), 1000)).to.be(false);
+        });
+    });
+
+    describe('createCacheEntry', () => {
+        it('should create entry from response', () => {
+            const response = new Response('{"a":1}', { status: 200, headers: { ETag: '"1"' } });
+
+            return createCacheEntry(response).then((entry) => {
+                expect(entry.status).to.be(200);
+                expect(entry.body).to.be('{"a":1}');
+                expect(entry.etag).to.be('"1"');
+                expect(entry.storedAt).to.be.a('number');
+            });
+        });
+    });
+
+    describe('isFresh', () => {
+        it('should be fresh only within ttl', () => {
+            const entry = { storedAt: Date.now() - 500 };
+
+            expect(isFresh(entry, 1000)).to.be(true);
+            expect(isFresh(entry, 100)).to.be(false);
+            expect(isFresh(entry, undefined)).to.be(false);
+        });
+    });
+
+    describe('getConditionalHeaders', () => {
+        it('should use validators of the entry', () => {
+            expect(getConditionalHeaders({ etag: '"1"', lastModified: 'date' })).to.eql({
+                'If-None-Match': '"1"',
+                'If-Modified-Since': 'date'
+            });
+            expect(getConditionalHeaders({})).to.eql({});
+        });
+    });
+});
@@ -24,6 +24,22 @@ describe('config', () => {
             config.setCustomDomain('   https://custom.domain.tld/  \n');
             expect(config.domain).to.be('https://custom.domain.tld');
         });
+        it('should keep http on localhost', () => {
+            config.setCustomDomain('http://localhost:3000/');
+            expect(config.domain).to.be('http://localhost:3000');
+
+            config.setCustomDomain('http://127.0.0.1');
+            expect(config.domain).to.be('http://127.0.0.1');
+
+            config.setCustomDomain('http://custom.domain.tld');
+            expect(config.domain).not.to.match(/^http:/);
+
+            config.setCustomDomain('http://localhost.evil.com');
+            expect(config.domain).not.to.match(/^http:/);
+
+            config.setCustomDomain('http://127.0.0.1.nip.io:8080');
+            expect(config.domain).not.to.match(/^http:/);
+        });
         it('should throw with invalid url', () => {
             expect(() => {
                 config.setCustomDomain('$');
@@ -0,0 +1,47 @@
+// Copyright (C) 2007-2017, GoodData(R) Corporation. All rights reserved.
+import { createEmitter } from '../src/utils/emitter';
+
+describe('emitter', () => {
+    it('should call listeners of the event', () => {
+        const emitter = createEmitter();
+        const listener = sinon.spy();
+        const otherListener = sinon.spy();
+
+        emitter.on('request:start', listener);
+        emitter.on('request:end', otherListener);
+        emitter.emit('request:start', { url: '/some/url' });
+
+        expect(listener.calledOnce).to.be(true);
+        expect(listener.firstCall.args[0]).to.eql({ url: '/some/url' });
+        expect(otherListener.called).to.be(false);
+    });
+
+    it('should unregister listener', () => {
+        const emitter = createEmitter();
+        const listener = sinon.spy();
+        const otherListener = sinon.spy();
+
+        const unregister = emitter.on('error', listener);
+        emitter.on('error', otherListener);
+        unregister();
+        emitter.emit('error', {});
+        emitter.off('error', otherListener);
+        emitter.emit('error', {});
+
+        expect(listener.called).to.be(false);
+        expect(otherListener.calledOnce).to.be(true);
+    });
+
+    it('should ignore exceptions of listeners', () => {
+        const emitter = createEmitter();
+        const listener = sinon.spy();
+
+        emitter.on('error', () => {
+            throw new Error('listener failed');
+        });
+        emitter.on('error', listener);
+
+        expect(() => emitter.emit('error', {})).to.not.throwError();
+        expect(listener.calledOnce).to.be(true);
+    });
+});
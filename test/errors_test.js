@@ -0,0 +1,119 @@
+// Copyright (C) 2007-2017, GoodData(R) Corporation. All rights reserved.
+import {
+    GdcError,
+    HttpError,
+    UnauthorizedError,
+    NotFoundError,
+    ValidationError,
+    InvalidArgumentError,
+    ObjectNotFoundError,
+    TimeoutError,
+    CancelledError,
+    formatErrorMessage,
+    createHttpError,
+    isCancelledError
+} from '../src/errors';
+
+const createResponse = (status, body, headers = {}) =>
+    new Response(body, { status, statusText: `Status ${status}`, headers });
+
+describe('errors', () => {
+    describe('hierarchy', () => {
+        it('should keep instanceof relations', () => {
+            const error = new NotFoundError('missing');
+
+            expect(error).to.be.an(Error);
+            expect(error).to.be.a(GdcError);
+            expect(error).to.be.a(HttpError);
+            expect(error).to.be.a(NotFoundError);
+            expect(error).not.to.be.a(UnauthorizedError);
+            expect(error.name).to.be('NotFoundError');
+            expect(error.message).to.be('missing');
+            expect(error.stack).to.be.a('string');
+        });
+
+        it('should not make client side errors http errors', () => {
+            expect(new InvalidArgumentError('bad')).to.be.a(GdcError);
+            expect(new InvalidArgumentError('bad')).not.to.be.an(HttpError);
+            expect(new ObjectNotFoundError('missing')).to.be.a(GdcError);
+            expect(new ObjectNotFoundError('missing')).not.to.be.an(HttpError);
+        });
+
+        it('should have default messages', () => {
+            expect(new UnauthorizedError().message).to.be('Unauthorized');
+            expect(new CancelledError().message).to.be('Request was cancelled');
+            expect(new TimeoutError().message).to.be('Operation timed out');
+        });
+
+        it('should recognize cancellation', () => {
+            expect(isCancelledError(new CancelledError())).to.be(true);
+            expect(isCancelledError(new TimeoutError())).to.be(false);
+        });
+    });
+
+    describe('formatErrorMessage', () => {
+        it('should substitute parameters', () => {
+            expect(formatErrorMessage('Object %s not found in %s', ['obj', 'project']))
+                .to.be('Object obj not found in project');
+            expect(formatErrorMessage('Limit %d exceeded', [10])).to.be('Limit 10 exceeded');
+        });
+
+        it('should keep placeholders without parameters', () => {
+            expect(formatErrorMessage('Missing %s')).to.be('Missing %s');
+        });
+    });
+
+    describe('createHttpError', () => {
+        it('should decode GoodData error payload', () => {
+            const payload = {
+                error: {
+                    errorClass: 'com.gooddata.NotFoundException',
+                    component: 'MD',
+                    message: 'Object %s not found',
+                    parameters: ['obj/1'],
+                    requestId: 'req123'
+                }
+            };
+            const response = createResponse(404, JSON.stringify(payload));
+
+            return createHttpError(response).then((error) => {
+                expect(error).to.be.a(NotFoundError);
+                expect(error.message).to.be('Object obj/1 not found');
+                expect(error.status).to.be(404);
+                expect(error.errorClass).to.be('com.gooddata.NotFoundException');
+                expect(error.component).to.be('MD');
+                expect(error.parameters).to.eql(['obj/1']);
+                expect(error.requestId).to.be('req123');
+                expect(error.body).to.eql(payload);
+                expect(error.response.status).to.be(404);
+
+                return error.response.json();
+            }).then((body) => {
+                expect(body).to.eql(payload);
+            });
+        });
+
+        it('should pick error type by status', () => {
+            return Promise.all([
+                createHttpError(createResponse(400, '')),
+                createHttpError(createResponse(401, '')),
+                createHttpError(createResponse(500, 'Internal error'))
+            ]).then(([badRequest, unauthorized, serverError]) => {
+                expect(badRequest).to.be.a(ValidationError);
+                expect(unauthorized).to.be.an(UnauthorizedError);
+                expect(serverError).to.be.an(HttpError);
+                expect(serverError.name).to.be('HttpError');
+                expect(serverError.message).to.be('Status 500');
+                expect(serverError.body).to.be('Internal error');
+            });
+        });
+
+        it('should take request id from response header', () => {
+            const response = createResponse(500, '', { 'X-GDC-REQUEST': 'header-id' });
+
+            return createHttpError(response).then((error) => {
+                expect(error.requestId).to.be('header-id');
+            });
+        });
+    });
+});
@@ -4,6 +4,8 @@ import { cloneDeep, range } from 'lodash';
 import fetchMock from './utils/fetch-mock';
 
 import * as ex from '../src/execution';
+import { isCancelledError } from '../src/errors';
+import { createAbortController } from './helpers/abort';
 import { expectColumns, expectMetricDefinition, expectOrderBy, expectWhereCondition } from './helpers/execution';
 
 describe('execution', () => {
@@ -177,6 +179,31 @@ describe('execution', () => {
                     });
                 });
 
+                it('should stop polling for data result when cancelled', () => {
+                    const controller = createAbortController();
+                    const dataResultUri = /\/gdc\/internal\/projects\/myFakeProjectId\/experimental\/executions\/(\w+)/;
+
+                    fetchMock.mock(
+                        '/gdc/internal/projects/myFakeProjectId/experimental/executions',
+                        { status: 200, body: JSON.stringify(serverResponseMock) }
+                    );
+                    fetchMock.mock(dataResultUri, () => {
+                        controller.abort();
+
+                        return 202;
+                    });
+
+                    return ex.getData('myFakeProjectId', ['attrId', 'metricId'], {}, {
+                        pollDelay: 0,
+                        signal: controller.signal
+                    }).then(() => {
+                        expect().fail('Should reject when cancelled');
+                    }, (err) => {
+                        expect(isCancelledError(err)).to.be(true);
+                        expect(fetchMock.calls(dataResultUri).length).to.be(1);
+                    });
+                });
+
                 it('should wrap response headers with metric mappings', () => {
                     fetchMock.mock(
                         '/gdc/internal/projects/myFakeProjectId/experimental/executions',
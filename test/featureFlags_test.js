@@ -0,0 +1,111 @@
+// Copyright (C) 2007-2017, GoodData(R) Corporation. All rights reserved.
+import fetchMock from './utils/fetch-mock';
+import * as featureFlags from '../src/featureFlags';
+import * as bootstrap from '../src/bootstrap';
+import { HttpError } from '../src/errors';
+
+describe('featureFlags', () => {
+    const flagItems = flags => ({
+        featureFlags: {
+            items: Object.keys(flags).map(key => ({ featureFlag: { key, value: flags[key] } }))
+        }
+    });
+    const respond = body => ({ status: 200, body: JSON.stringify(body) });
+
+    beforeEach(() => {
+        fetchMock.mock('/gdc/app/account/bootstrap', respond({
+            bootstrapResource: {
+                accountSetting: {
+                    links: { self: '/gdc/account/profile/john', domain: '/gdc/domains/acme' }
+                }
+            }
+        }));
+    });
+
+    afterEach(() => {
+        fetchMock.restore();
+        bootstrap.clearCache();
+    });
+
+    describe('levels', () => {
+        beforeEach(() => {
+            fetchMock.mock('/gdc/featureFlags', respond({ featureFlags: { a: 'platform', b: 'platform' } }));
+            fetchMock.mock('/gdc/domains/acme/featureFlags', respond(flagItems({ b: 'domain', c: 'domain' })));
+            fetchMock.mock('/gdc/projects/p/projectFeatureFlags', respond(flagItems({ c: 'project', d: 'project' })));
+            fetchMock.mock('/gdc/account/profile/john/featureFlags', respond(flagItems({ d: 'user' })));
+        });
+
+        it('should read flags of every level', () => {
+            return Promise.all([
+                featureFlags.getPlatformFeatureFlags(),
+                featureFlags.getDomainFeatureFlags(),
+                featureFlags.getProjectFeatureFlags('p'),
+                featureFlags.getUserFeatureFlags()
+            ]).then(([platform, domain, project, user]) => {
+                expect(platform).to.eql({ a: 'platform', b: 'platform' });
+                expect(domain).to.eql({ b: 'domain', c: 'domain' });
+                expect(project).to.eql({ c: 'project', d: 'project' });
+                expect(user).to.eql({ d: 'user' });
+            });
+        });
+
+        it('should merge levels by precedence', () => {
+            return featureFlags.getFeatureFlags('p').then((flags) => {
+                expect(flags).to.eql({ a: 'platform', b: 'domain', c: 'project', d: 'user' });
+            });
+        });
+
+        it('should skip project level without project', () => {
+            return featureFlags.getFeatureFlags().then((flags) => {
+                expect(flags).to.eql({ a: 'platform', b: 'domain', c: 'domain', d: 'user' });
+                expect(fetchMock.calls('/gdc/projects/p/projectFeatureFlags')).to.have.length(0);
+            });
+        });
+    });
+
+    it('should treat missing level resource as no flags', () => {
+        fetchMock.mock('/gdc/projects/p/projectFeatureFlags', 404);
+
+        return featureFlags.getProjectFeatureFlags('p').then((flags) => {
+            expect(flags).to.eql({});
+        });
+    });
+
+    describe('project flag setters', () => {
+        it('should set flag and invalidate bootstrap', () => {
+            fetchMock.mock('/gdc/projects/p/projectFeatureFlags/enableX', 'PUT', 204);
+
+            return bootstrap.getBootstrap()
+                .then(() => featureFlags.setProjectFeatureFlag('p', 'enableX', true))
+                .then(() => {
+                    expect(JSON.parse(fetchMock.lastOptions().body)).to.eql({
+                        featureFlag: { key: 'enableX', value: true }
+                    });
+
+                    return bootstrap.getBootstrap();
+                })
+                .then(() => {
+                    expect(fetchMock.calls('/gdc/app/account/bootstrap')).to.have.length(2);
+                });
+        });
+
+        it('should reject when user is not allowed to set flag', () => {
+            fetchMock.mock('/gdc/projects/p/projectFeatureFlags/enableX', 'PUT', 403);
+
+            return featureFlags.setProjectFeatureFlag('p', 'enableX', true).then(() => {
+                expect().fail('Should reject');
+            }, (err) => {
+                expect(err).to.be.an(HttpError);
+                expect(err.response.status).to.be(403);
+            });
+        });
+
+        it('should remove flag', () => {
+            fetchMock.mock('/gdc/projects/p/projectFeatureFlags/enableX', 'DELETE', 204);
+
+            return featureFlags.removeProjectFeatureFlag('p', 'enableX').then(() => {
+                expect(fetchMock.calls().matched).to.have.length(1);
+            });
+        });
+    });
+});
@@ -0,0 +1,120 @@
+// Copyright (C) 2007-2017, GoodData(R) Corporation. All rights reserved.
+import fetchMock from './utils/fetch-mock';
+import { createSdk } from '../src/gooddata';
+import { createRecorder, createReplayer, describeRequest } from '../src/fixtures';
+import { GdcError } from '../src/errors';
+
+describe('fixtures', () => {
+    afterEach(() => {
+        fetchMock.restore();
+    });
+
+    describe('describeRequest', () => {
+        it('should describe request with JSON body', () => {
+            expect(describeRequest('/gdc/md/p/obj', { method: 'post', body: '{"a":1}' })).to.eql({
+                method: 'POST',
+                url: '/gdc/md/p/obj',
+                body: { a: 1 }
+            });
+        });
+
+        it('should describe request without body', () => {
+            expect(describeRequest('/gdc/md/p/obj')).to.eql({ method: 'GET', url: '/gdc/md/p/obj', body: null });
+        });
+    });
+
+    describe('record and replay', () => {
+        function mockServer() {
+            let unauthorized = true;
+            let polls = 0;
+
+            fetchMock.mock('/gdc/md/p/obj/1', () => {
+                const status = unauthorized ? 401 : 200;
+                unauthorized = false;
+                return { status, body: JSON.stringify({ obj: 1 }) };
+            });
+            fetchMock.mock('/gdc/account/token', 200);
+            fetchMock.mock('/gdc/md/p/execute', 'POST', {
+                status: 202,
+                headers: { Location: '/gdc/md/p/execute/poll' }
+            });
+            fetchMock.mock('/gdc/md/p/execute/poll', () => {
+                polls += 1;
+                return polls < 2 ? 202 : { status: 200, body: JSON.stringify({ result: polls }) };
+            });
+        }
+
+        function runScenario(sdk) {
+            return sdk.xhr.get('/gdc/md/p/obj/1').then(obj =>
+                sdk.xhr.post('/gdc/md/p/execute', { data: { execution: { a: 1 } }, pollDelay: 0 })
+                    .then(sdk.xhr.parseJSON)
+                    .then(execution => ({ obj, execution }))
+            );
+        }
+
+        it('should replay recorded session without network', () => {
+            mockServer();
+            const recorder = createRecorder();
+
+            return runScenario(createSdk({ fetch: recorder.fetch })).then((recorded) => {
+                const fixtures = JSON.parse(JSON.stringify(recorder.getFixtures()));
+                expect(fixtures.map(f => `${f.request.method} ${f.request.url} ${f.response.status}`)).to.eql([
+                    'GET /gdc/md/p/obj/1 401',
+                    'GET /gdc/account/token 200',
+                    'GET /gdc/md/p/obj/1 200',
+                    'POST /gdc/md/p/execute 202',
+                    'GET /gdc/md/p/execute/poll 202',
+                    'GET /gdc/md/p/execute/poll 200'
+                ]);
+
+                fetchMock.restore();
+                const replayer = createReplayer(fixtures);
+
+                return runScenario(createSdk({ fetch: replayer.fetch })).then((replayed) => {
+                    expect(replayed).to.eql(recorded);
+                    expect(replayed).to.eql({ obj: { obj: 1 }, execution: { result: 2 } });
+                    expect(replayer.getUnusedFixtures()).to.eql([]);
+                });
+            });
+        });
+
+        it('should match requests by body', () => {
+            const fixtures = [
+                { request: { method: 'POST', url: '/a', body: { id: 1 } }, response: { status: 200, body: 'one' } },
+                { request: { method: 'POST', url: '/a', body: { id: 2 } }, response: { status: 200, body: 'two' } }
+            ];
+            const { fetch } = createReplayer(fixtures);
+
+            return fetch('/a', { method: 'POST', body: '{ "id": 2 }' })
+                .then(response => response.text())
+                .then((body) => {
+                    expect(body).to.be('two');
+                });
+        });
+
+        it('should serve last matching fixture repeatedly', () => {
+            const fixtures = [{ request: { method: 'GET', url: '/a', body: null }, response: { status: 200, body: 'a' } }];
+            const { fetch } = createReplayer(fixtures);
+
+            return fetch('/a')
+                .then(() => fetch('/a'))
+                .then(response => response.text())
+                .then((body) => {
+                    expect(body).to.be('a');
+                });
+        });
+
+        it('should reject request without fixture', () => {
+            const { fetch } = createReplayer([]);
+
+            return fetch('/unknown', { method: 'DELETE' }).then(() => {
+                throw new Error('should fail');
+            }, (err) => {
+                expect(err).to.be.a(GdcError);
+                expect(err.message).to.be('No fixture for DELETE /unknown');
+                expect(err.method).to.be('DELETE');
+                expect(err.url).to.be('/unknown');
+            });
+        });
+    });
+});
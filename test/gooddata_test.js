@@ -0,0 +1,93 @@
+// Copyright (C) 2007-2017, GoodData(R) Corporation. All rights reserved.
+import fetchMock from './utils/fetch-mock';
+import gooddata, { createSdk } from '../src/gooddata';
+import * as config from '../src/config';
+
+function createFetch(responses = {}) {
+    return sinon.spy((url) => {
+        const path = url.replace(/^https:\/\/[^/]+/, '');
+        const response = responses[path] || { status: 200, body: '{}' };
+
+        return Promise.resolve(new Response(response.body, { status: response.status }));
+    });
+}
+
+describe('createSdk', () => {
+    afterEach(() => {
+        fetchMock.restore();
+    });
+
+    it('should create all modules', () => {
+        const sdk = createSdk();
+
+        ['config', 'xhr', 'user', 'md', 'execution', 'project', 'bootstrap', 'featureFlags', 'catalogue', 'uploads'].forEach((name) => {
+            expect(sdk[name]).to.be.an('object');
+        });
+        expect(sdk.errors).to.be(gooddata.errors);
+        expect(sdk.xhr.get).to.not.be(gooddata.xhr.get);
+    });
+
+    it('should keep domain per instance', () => {
+        const fetchA = createFetch();
+        const fetchB = createFetch();
+        const sdkA = createSdk({ domain: 'a.example.com', fetch: fetchA });
+        const sdkB = createSdk({ domain: 'b.example.com', fetch: fetchB });
+
+        expect(sdkA.config.getDomain()).to.be('https://a.example.com');
+        expect(sdkB.config.getDomain()).to.be('https://b.example.com');
+        expect(config.getDomain()).to.be(undefined);
+
+        return Promise.all([
+            sdkA.xhr.get('/gdc/md/projectA'),
+            sdkB.xhr.get('/gdc/md/projectB')
+        ]).then(() => {
+            expect(fetchA.calledOnce).to.be(true);
+            expect(fetchA.firstCall.args[0]).to.be('https://a.example.com/gdc/md/projectA');
+            expect(fetchB.calledOnce).to.be(true);
+            expect(fetchB.firstCall.args[0]).to.be('https://b.example.com/gdc/md/projectB');
+        });
+    });
+
+    it('should use common xhr settings of the instance', () => {
+        const fetchA = createFetch();
+        const fetchB = createFetch();
+        const sdkA = createSdk({ fetch: fetchA, headers: { 'X-Tenant': 'a' } });
+        const sdkB = createSdk({ fetch: fetchB });
+
+        return Promise.all([
+            sdkA.xhr.get('/some/url'),
+            sdkB.xhr.get('/some/url')
+        ]).then(() => {
+            expect(fetchA.firstCall.args[1].headers['X-Tenant']).to.be('a');
+            expect(fetchB.firstCall.args[1].headers['X-Tenant']).to.be(undefined);
+        });
+    });
+
+    it('should use fetch of default instance when not provided', () => {
+        fetchMock.mock('/some/url', { status: 200, body: '{}' });
+        const sdk = createSdk();
+
+        return sdk.xhr.get('/some/url').then(() => {
+            expect(fetchMock.lastCall()[0]).to.be('/some/url');
+        });
+    });
+
+    it('should refresh token per instance', () => {
+        const fetchA = createFetch({
+            '/some/url': { status: 401 },
+            '/gdc/account/token': { status: 401 }
+        });
+        const fetchB = createFetch();
+        const sdkA = createSdk({ fetch: fetchA });
+        const sdkB = createSdk({ fetch: fetchB });
+
+        return Promise.all([
+            sdkA.xhr.get('/some/url').then(null, err => err),
+            sdkB.xhr.get('/some/url')
+        ]).then(([err]) => {
+            expect(err).to.be.a(gooddata.errors.UnauthorizedError);
+            expect(fetchA.args.map(args => args[0])).to.contain('/gdc/account/token');
+            expect(fetchB.args.map(args => args[0])).to.eql(['/some/url']);
+        });
+    });
+});
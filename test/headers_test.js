@@ -0,0 +1,43 @@
+// Copyright (C) 2007-2017, GoodData(R) Corporation. All rights reserved.
+import { mergeHeaders, hasHeader, findHeader, removeHeader } from '../src/utils/headers';
+
+describe('headers', () => {
+    describe('mergeHeaders', () => {
+        it('should merge headers from left to right', () => {
+            expect(mergeHeaders({ a: '1', b: '1' }, { b: '2' }, undefined, { c: '3' })).to.eql({
+                a: '1',
+                b: '2',
+                c: '3'
+            });
+        });
+
+        it('should replace headers case insensitively', () => {
+            expect(mergeHeaders({ 'Content-Type': 'application/json' }, { 'content-type': 'text/plain' })).to.eql({
+                'content-type': 'text/plain'
+            });
+        });
+
+        it('should remove headers with empty value', () => {
+            expect(mergeHeaders({ Accept: 'text/csv', b: '1' }, { accept: null, b: undefined })).to.eql({});
+        });
+
+        it('should accept Headers-like objects', () => {
+            const headers = {
+                forEach(fn) {
+                    fn('1', 'x-a');
+                }
+            };
+
+            expect(mergeHeaders({ 'X-A': '0' }, headers)).to.eql({ 'x-a': '1' });
+        });
+    });
+
+    it('should find headers case insensitively', () => {
+        const headers = { 'Content-Type': 'text/plain' };
+
+        expect(findHeader(headers, 'content-type')).to.be('Content-Type');
+        expect(hasHeader(headers, 'CONTENT-TYPE')).to.be(true);
+        expect(hasHeader(headers, 'Accept')).to.be(false);
+        expect(removeHeader(headers, 'content-type')).to.eql({});
+    });
+});
@@ -0,0 +1,36 @@
+/**
+ * Minimal AbortController stand-in for environments without native support
+ */
+class FakeAbortSignal {
+    constructor() {
+        this.aborted = false;
+        this.listeners = [];
+    }
+
+    addEventListener(type, listener) {
+        this.listeners.push(listener);
+    }
+
+    removeEventListener(type, listener) {
+        const index = this.listeners.indexOf(listener);
+        if (index !== -1) {
+            this.listeners.splice(index, 1);
+        }
+    }
+
+    listenerCount() {
+        return this.listeners.length;
+    }
+}
+
+export function createAbortController() {
+    const signal = new FakeAbortSignal();
+
+    return {
+        signal,
+        abort() {
+            signal.aborted = true;
+            signal.listeners.slice().forEach(listener => listener());
+        }
+    };
+}
@@ -3,6 +3,7 @@ import { range, find } from 'lodash';
 import fetchMock from './utils/fetch-mock';
 import * as md from '../src/metadata';
 import * as xhr from '../src/xhr';
+import { HttpError, ObjectNotFoundError } from '../src/errors';
 
 describe('metadata', () => {
     describe('with fake server', () => {
@@ -221,6 +222,25 @@ describe('metadata', () => {
                 return md.getObjectUri('myFakeProjectId', 'foo.bar').then(null, err => expect(err).to.be.an(Error));
             });
 
+            it('should reject with ObjectNotFoundError when identifier does not exist', () => {
+                fetchMock.mock(
+                    '/gdc/md/myFakeProjectId/identifiers',
+                    'POST',
+                    {
+                        status: 200,
+                        body: JSON.stringify({ identifiers: [] })
+                    }
+                );
+
+                return md.getObjectUri('myFakeProjectId', 'foo.bar').then(() => {
+                    expect().fail('Should reject');
+                }, (err) => {
+                    expect(err).to.be.an(ObjectNotFoundError);
+                    expect(err).not.to.be.an(HttpError);
+                    expect(err.message).to.be('Object with identifier foo.bar not found in project myFakeProjectId');
+                });
+            });
+
             it('should return an attribute uri for a display form identifier', () => {
                 fetchMock.mock(
                     '/gdc/md/myFakeProjectId/identifiers',
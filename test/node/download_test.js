@@ -0,0 +1,65 @@
+// Copyright (C) 2007-2017, GoodData(R) Corporation. All rights reserved.
+import http from 'http';
+import { createSdk } from '../../src/gooddata-node';
+
+describe('node download', () => {
+    const content = 'x'.repeat(100000);
+    let server;
+    let sdk;
+
+    beforeEach((done) => {
+        let requestCount = 0;
+
+        server = http.createServer((req, res) => {
+            requestCount += 1;
+
+            if (requestCount === 1) {
+                res.writeHead(202);
+                res.end();
+                return;
+            }
+
+            res.writeHead(200, { 'Content-Type': 'text/csv', 'Content-Length': content.length });
+            res.end(content);
+        });
+        server.listen(0, '127.0.0.1', () => {
+            sdk = createSdk({ domain: `http://127.0.0.1:${server.address().port}`, pollDelay: 0 });
+            done();
+        });
+    });
+
+    afterEach((done) => {
+        server.close(done);
+    });
+
+    it('should stream polled file and report progress', () => {
+        const onDownloadProgress = sinon.spy();
+
+        return sdk.xhr.getStream('/gdc/exporter/result/1', { onDownloadProgress }).then(stream =>
+            new Promise((resolve, reject) => {
+                let length = 0;
+
+                stream.on('data', (chunk) => {
+                    length += chunk.length;
+                });
+                stream.on('error', reject);
+                stream.on('end', () => resolve(length));
+            })
+        ).then((length) => {
+            expect(length).to.be(content.length);
+            expect(onDownloadProgress.called).to.be(true);
+            expect(onDownloadProgress.lastCall.args).to.eql([{ loaded: content.length, total: content.length }]);
+        });
+    });
+
+    it('should read file into buffer', () => {
+        const onDownloadProgress = sinon.spy();
+
+        return sdk.xhr.getBlob('/gdc/exporter/result/1', { onDownloadProgress }).then((buffer) => {
+            expect(Buffer.isBuffer(buffer)).to.be(true);
+            expect(buffer.toString()).to.be(content);
+            expect(onDownloadProgress.firstCall.args[0].loaded).to.be.below(content.length);
+            expect(onDownloadProgress.lastCall.args).to.eql([{ loaded: content.length, total: content.length }]);
+        });
+    });
+});
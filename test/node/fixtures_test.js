@@ -0,0 +1,62 @@
+// Copyright (C) 2007-2017, GoodData(R) Corporation. All rights reserved.
+import http from 'http';
+import { CookieJar } from 'tough-cookie';
+import { createSdk } from '../../src/gooddata-node';
+import { createNodeFetch } from '../../src/fetch-node';
+import { createRecorder, createReplayer } from '../../src/fixtures';
+
+describe('node fixtures', () => {
+    const SIZE = 200 * 1024;
+    const pdf = Buffer.from(Array.from({ length: 256 }, (value, index) => index));
+    let server;
+    let domain;
+
+    beforeEach((done) => {
+        server = http.createServer((req, res) => {
+            if (req.url === '/gdc/exporter/result/1') {
+                res.writeHead(200, { 'Content-Type': 'application/pdf' });
+                res.end(pdf);
+                return;
+            }
+
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ data: 'x'.repeat(SIZE) }));
+        });
+        server.listen(0, '127.0.0.1', () => {
+            domain = `http://127.0.0.1:${server.address().port}`;
+            done();
+        });
+    });
+
+    afterEach((done) => {
+        server.close(done);
+    });
+
+    function recordAndReplay(runScenario) {
+        const recorder = createRecorder(createNodeFetch(new CookieJar()));
+
+        return runScenario(createSdk({ domain, fetch: recorder.fetch })).then((recorded) => {
+            const fixtures = JSON.parse(JSON.stringify(recorder.getFixtures()));
+            const replayer = createReplayer(fixtures);
+
+            return runScenario(createSdk({ domain, fetch: replayer.fetch }))
+                .then(replayed => ({ recorded, replayed, fixtures }));
+        });
+    }
+
+    it('should record and replay large response', () => {
+        return recordAndReplay(sdk => sdk.xhr.get('/gdc/md/p/obj/1')).then(({ recorded, replayed }) => {
+            expect(recorded.data.length).to.be(SIZE);
+            expect(replayed).to.eql(recorded);
+        });
+    });
+
+    it('should record and replay binary response', () => {
+        return recordAndReplay(sdk => sdk.xhr.getBlob('/gdc/exporter/result/1'))
+            .then(({ recorded, replayed, fixtures }) => {
+                expect(fixtures[0].response.bodyEncoding).to.be('base64');
+                expect(recorded.equals(pdf)).to.be(true);
+                expect(replayed.equals(pdf)).to.be(true);
+            });
+    });
+});
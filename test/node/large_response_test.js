@@ -0,0 +1,58 @@
+// Copyright (C) 2007-2017, GoodData(R) Corporation. All rights reserved.
+import http from 'http';
+import { createSdk } from '../../src/gooddata-node';
+import { HttpError } from '../../src/errors';
+
+// node-fetch stops streaming response which is cloned but not read when its buffers are full (~100 KB)
+describe('node large response', () => {
+    const SIZE = 200 * 1024;
+    const largeJson = JSON.stringify({ data: 'x'.repeat(SIZE) });
+    let server;
+    let domain;
+
+    beforeEach((done) => {
+        server = http.createServer((req, res) => {
+            if (req.url === '/error') {
+                res.writeHead(500, { 'Content-Type': 'text/html' });
+                res.end(`<html><body>${'x'.repeat(SIZE)}</body></html>`);
+                return;
+            }
+
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(largeJson);
+        });
+        server.listen(0, '127.0.0.1', () => {
+            domain = `http://127.0.0.1:${server.address().port}`;
+            done();
+        });
+    });
+
+    afterEach((done) => {
+        server.close(done);
+    });
+
+    it('should cache large response', () => {
+        const sdk = createSdk({ domain, cache: true, cacheTtl: 60000 });
+
+        return sdk.xhr.get('/gdc/md/obj/1')
+            .then(() => sdk.xhr.get('/gdc/md/obj/1'))
+            .then((result) => {
+                expect(result.data.length).to.be(SIZE);
+            });
+    });
+
+    it('should reject request with large error body', () => {
+        const sdk = createSdk({ domain });
+
+        return sdk.xhr.get('/error').then(() => {
+            throw new Error('should fail');
+        }, (err) => {
+            expect(err).to.be.an(HttpError);
+            expect(err.status).to.be(500);
+            expect(err.body).to.contain('<html>');
+            return err.response.text();
+        }).then((text) => {
+            expect(text.length).to.be(SIZE + 26);
+        });
+    });
+});
@@ -0,0 +1,239 @@
+// Copyright (C) 2007-2017, GoodData(R) Corporation. All rights reserved.
+import { createMockServer } from '../../src/mock-server';
+import { createSdk } from '../../src/gooddata-node';
+
+const PROJECT_ID = 'myproject';
+const md = id => `/gdc/md/${PROJECT_ID}/obj/${id}`;
+
+const definition = {
+    organizationName: 'ACME',
+    users: [
+        { login: 'john@example.com', password: 'secret', profileId: 'john', firstName: 'John', lastName: 'Doe' },
+        { login: 'jane@example.com', password: 'secret', profileId: 'jane', projects: [] }
+    ],
+    projects: [{
+        id: PROJECT_ID,
+        title: 'My project',
+        timezone: { id: 'Europe/Prague' },
+        objects: [
+            { attribute: { meta: { uri: md(1), identifier: 'attr.city', title: 'City' }, content: {} } },
+            {
+                attributeDisplayForm: {
+                    meta: { uri: md(2), identifier: 'label.city', title: 'City name' },
+                    content: { formOf: md(1) }
+                }
+            },
+            { metric: { meta: { uri: md(3), identifier: 'metric.sum', title: 'Sum' }, content: {} } }
+        ],
+        elements: {
+            [md(2)]: [
+                { element: { title: 'Prague', uri: `${md(1)}/elements?id=1` } },
+                { element: { title: 'Brno', uri: `${md(1)}/elements?id=2` } }
+            ]
+        },
+        using: {
+            [md(3)]: [md(1), md(2)]
+        },
+        executions: [
+            { columns: ['attr.city'], headers: [{ id: 'attr.city' }], values: [['Prague'], ['Brno']], polls: 1 },
+            { columns: ['metric.sum'], values: [] }
+        ],
+        catalog: [{ type: 'attribute', title: 'City' }]
+    }]
+};
+
+describe('mock server', () => {
+    let mockServer;
+    let sdk;
+
+    beforeEach(() => {
+        mockServer = createMockServer(definition);
+
+        return mockServer.listen().then((url) => {
+            sdk = createSdk({ domain: url });
+        });
+    });
+
+    afterEach(() => mockServer.close());
+
+    describe('authentication', () => {
+        it('should reject anonymous requests', () => {
+            return sdk.user.isLoggedIn().then((loggedIn) => {
+                expect(loggedIn).to.be(false);
+            });
+        });
+
+        it('should reject invalid credentials', () => {
+            return sdk.user.login('john@example.com', 'wrong').then(() => {
+                expect().fail('Should reject');
+            }, (err) => {
+                expect(err.response.status).to.be(401);
+            });
+        });
+
+        it('should log in with cookies', () => {
+            return sdk.user.login('john@example.com', 'secret')
+                .then(() => sdk.user.getAccountInfo())
+                .then((info) => {
+                    expect(info.login).to.be('john@example.com');
+                    expect(info.firstName).to.be('John');
+                    expect(info.organizationName).to.be('ACME');
+                    expect(info.profileUri).to.be('/gdc/account/profile/john');
+                });
+        });
+
+        it('should log in with tokens in headers', () => {
+            return sdk.user.login('john@example.com', 'secret', { tokenMode: 'header' })
+                .then(() => {
+                    expect(sdk.xhr.tokens.getSuperSecuredToken()).to.be.ok();
+                    expect(sdk.xhr.tokens.getTemporaryToken()).to.be.ok();
+
+                    return sdk.user.isLoggedIn();
+                })
+                .then((loggedIn) => {
+                    expect(loggedIn).to.be(true);
+                });
+        });
+
+        it('should log out', () => {
+            return sdk.user.login('john@example.com', 'secret')
+                .then(() => sdk.user.logout())
+                .then(() => sdk.user.isLoggedIn())
+                .then((loggedIn) => {
+                    expect(loggedIn).to.be(false);
+                });
+        });
+    });
+
+    describe('resources', () => {
+        beforeEach(() => sdk.user.login('john@example.com', 'secret'));
+
+        it('should serve projects', () => {
+            return Promise.all([
+                sdk.project.getProjects('john'),
+                sdk.project.getTimezone(PROJECT_ID)
+            ]).then(([projects, timezone]) => {
+                expect(projects).to.have.length(1);
+                expect(projects[0].meta.title).to.be('My project');
+                expect(timezone).to.eql({ id: 'Europe/Prague' });
+            });
+        });
+
+        it('should deny projects not accessible by user', () => {
+            const otherSdk = createSdk({ domain: sdk.config.getDomain() });
+
+            return otherSdk.user.login('jane@example.com', 'secret')
+                .then(() => otherSdk.md.getAttributes(PROJECT_ID))
+                .then(() => {
+                    expect().fail('Should reject');
+                }, (err) => {
+                    expect(err.response.status).to.be(403);
+                });
+        });
+
+        it('should serve metadata objects', () => {
+            return Promise.all([
+                sdk.md.getAttributes(PROJECT_ID),
+                sdk.md.getObjects(PROJECT_ID, [md(3), md(99), md(1)]),
+                sdk.md.getObjectUsing(PROJECT_ID, md(3), { types: ['attribute'] }),
+                sdk.md.getObjectUri(PROJECT_ID, 'label.city')
+            ]).then(([attributes, objects, using, uri]) => {
+                expect(attributes).to.eql([{ identifier: 'attr.city', title: 'City', link: md(1), category: 'attribute' }]);
+                expect(objects.map(obj => Object.keys(obj)[0])).to.eql(['metric', 'attribute']);
+                expect(using.map(entry => entry.link)).to.eql([md(1)]);
+                expect(uri).to.be(md(1));
+            });
+        });
+
+        it('should create, update and delete metadata objects', () => {
+            return sdk.xhr.post(`/gdc/md/${PROJECT_ID}/obj`, {
+                data: { metric: { meta: { title: 'New' }, content: {} } }
+            })
+                .then(sdk.xhr.parseJSON)
+                .then(({ uri }) => {
+                    expect(uri).to.be(md(4));
+
+                    return sdk.xhr.put(uri, { data: { metric: { meta: { title: 'Renamed' }, content: {} } } });
+                })
+                .then(() => sdk.md.getObjectDetails(md(4)))
+                .then((obj) => {
+                    expect(obj.metric.meta).to.eql({ title: 'Renamed', uri: md(4) });
+
+                    return sdk.md.deleteObject(md(4));
+                })
+                .then(() => sdk.md.getObjectDetails(md(4)))
+                .then(() => {
+                    expect().fail('Should reject');
+                }, (err) => {
+                    expect(err.response.status).to.be(404);
+                });
+        });
+
+        it('should serve filtered valid elements', () => {
+            return sdk.md.getValidElements(PROJECT_ID, '2', { filter: 'br' }).then(({ validElements }) => {
+                expect(validElements.items.map(({ element }) => element.title)).to.eql(['Brno']);
+                expect(validElements.paging.total).to.be('1');
+            });
+        });
+
+        it('should poll for execution result', () => {
+            return sdk.execution.getData(PROJECT_ID, ['attr.city'], {}, { pollDelay: 0 }).then((result) => {
+                expect(result.headers).to.eql([{ id: 'attr.city' }]);
+                expect(result.rawData).to.eql([['Prague'], ['Brno']]);
+                expect(result.isEmpty).to.be(false);
+            });
+        });
+
+        it('should serve empty execution result', () => {
+            return sdk.execution.getData(PROJECT_ID, ['metric.sum'], {}, { extended: true }).then((result) => {
+                expect(result.rawData).to.eql([]);
+                expect(result.isEmpty).to.be(true);
+            });
+        });
+
+        it('should serve catalog', () => {
+            return sdk.catalogue.loadItems(PROJECT_ID).then((response) => {
+                expect(response.catalog).to.eql([{ type: 'attribute', title: 'City' }]);
+            });
+        });
+
+        it('should respond 404 to unknown resources', () => {
+            return sdk.xhr.get('/gdc/unknown').then(() => {
+                expect().fail('Should reject');
+            }, (err) => {
+                expect(err.response.status).to.be(404);
+            });
+        });
+    });
+
+    describe('custom routes', () => {
+        beforeEach(() => {
+            const customServer = createMockServer(definition, {
+                routes: [{
+                    method: 'GET',
+                    path: /^\/gdc\/custom\/(\w+)$/,
+                    handler: request => Promise.resolve({ status: 200, body: { name: request.params[0] } })
+                }]
+            });
+
+            return mockServer.close()
+                .then(() => customServer.listen())
+                .then((url) => {
+                    mockServer = customServer;
+                    sdk = createSdk({ domain: url });
+                });
+        });
+
+        it('should serve custom route without authentication', () => {
+            return sdk.xhr.get('/gdc/custom/foo').then((result) => {
+                expect(result).to.eql({ name: 'foo' });
+            });
+        });
+
+        it('should serve built-in routes', () => {
+            return sdk.user.isLoggedIn().then((loggedIn) => {
+                expect(loggedIn).to.be(false);
+            });
+        });
+    });
+});
@@ -0,0 +1,68 @@
+// Copyright (C) 2007-2017, GoodData(R) Corporation. All rights reserved.
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { CookieJar, MemoryCookieStore } from 'tough-cookie';
+import { createSdk } from '../../src/gooddata-node';
+
+const URL = 'https://secure.gooddata.com/gdc/account/token';
+
+describe('node session', () => {
+    function createAuthenticatedSdk() {
+        const cookieJar = new CookieJar();
+        cookieJar.setCookieSync('GDCAuthSST=sst; Path=/gdc/account; Secure; HttpOnly', URL);
+        cookieJar.setCookieSync('GDCAuthTT=tt; Path=/gdc; Secure; HttpOnly', URL);
+
+        return { sdk: createSdk({ cookieJar }), cookieJar };
+    }
+
+    it('should export and import cookies and tokens', () => {
+        const { sdk } = createAuthenticatedSdk();
+        const cookieJar = new CookieJar();
+        const otherSdk = createSdk({ cookieJar });
+        sdk.xhr.tokens.setMode('header');
+        sdk.xhr.tokens.setSuperSecuredToken('header-sst');
+
+        return sdk.exportSession()
+            .then(session => otherSdk.importSession(JSON.parse(JSON.stringify(session))))
+            .then(() => {
+                expect(cookieJar.getCookieStringSync(URL)).to.contain('GDCAuthSST=sst');
+                expect(cookieJar.getCookieStringSync(URL)).to.contain('GDCAuthTT=tt');
+                expect(otherSdk.xhr.tokens.getMode()).to.be('header');
+                expect(otherSdk.xhr.tokens.getSuperSecuredToken()).to.be('header-sst');
+            });
+    });
+
+    it('should use custom cookie store', () => {
+        const { sdk } = createAuthenticatedSdk();
+        const cookieStore = new MemoryCookieStore();
+        const otherSdk = createSdk({ cookieStore });
+
+        return sdk.exportSession()
+            .then(session => otherSdk.importSession(session))
+            .then(() => new Promise((resolve, reject) => {
+                cookieStore.getAllCookies((err, cookies) => (err ? reject(err) : resolve(cookies)));
+            }))
+            .then((cookies) => {
+                expect(cookies.map(cookie => cookie.key).sort()).to.eql(['GDCAuthSST', 'GDCAuthTT']);
+            });
+    });
+
+    it('should save and load session file', () => {
+        const file = path.join(os.tmpdir(), `gooddata-session-${process.pid}.json`);
+        const { sdk } = createAuthenticatedSdk();
+        const cookieJar = new CookieJar();
+        const otherSdk = createSdk({ cookieJar });
+
+        return sdk.saveSession(file)
+            .then(() => {
+                // eslint-disable-next-line no-bitwise
+                expect(fs.statSync(file).mode & 0o777).to.be(0o600);
+                return otherSdk.loadSession(file);
+            })
+            .then(() => {
+                fs.unlinkSync(file);
+                expect(cookieJar.getCookieStringSync(URL)).to.contain('GDCAuthSST=sst');
+            });
+    });
+});
@@ -0,0 +1,78 @@
+// Copyright (C) 2007-2017, GoodData(R) Corporation. All rights reserved.
+import http from 'http';
+import { PassThrough } from 'stream';
+import { createSdk } from '../../src/gooddata-node';
+import { HttpError, UnauthorizedError } from '../../src/errors';
+
+describe('node uploads', () => {
+    let server;
+    let sdk;
+    let requests;
+    let uploadStatus;
+
+    const createStream = (content) => {
+        const stream = new PassThrough();
+        stream.end(content);
+        return stream;
+    };
+
+    beforeEach((done) => {
+        requests = [];
+        uploadStatus = 201;
+
+        server = http.createServer((req, res) => {
+            let body = '';
+
+            req.on('data', (chunk) => {
+                body += chunk;
+            });
+            req.on('end', () => {
+                requests.push({ method: req.method, url: req.url, body });
+                res.writeHead(req.url === '/gdc/account/token' ? 200 : uploadStatus);
+                res.end();
+            });
+        });
+        server.listen(0, '127.0.0.1', () => {
+            sdk = createSdk({ domain: `http://127.0.0.1:${server.address().port}` });
+            done();
+        });
+    });
+
+    afterEach((done) => {
+        server.close(done);
+    });
+
+    it('should refresh token before stream upload', () => {
+        return sdk.uploads.upload('data.csv', createStream('a,b\n1,2'), { size: 7 }).then(() => {
+            expect(requests).to.eql([
+                { method: 'GET', url: '/gdc/account/token', body: '' },
+                { method: 'PUT', url: '/gdc/uploads/data.csv', body: 'a,b\n1,2' }
+            ]);
+        });
+    });
+
+    it('should reject stream upload instead of sending it again after 401', () => {
+        uploadStatus = 401;
+
+        return sdk.uploads.upload('data.csv', createStream('a,b\n1,2')).then(() => {
+            throw new Error('should fail');
+        }, (err) => {
+            expect(err).to.be.an(UnauthorizedError);
+            expect(err.message).to.contain('stream body');
+            expect(requests.filter(({ method }) => method === 'PUT')).to.have.length(1);
+        });
+    });
+
+    it('should not retry stream upload', () => {
+        uploadStatus = 503;
+        sdk.xhr.ajaxSetup({ retry: { baseDelay: 0 } });
+
+        return sdk.uploads.upload('data.csv', createStream('a,b\n1,2')).then(() => {
+            throw new Error('should fail');
+        }, (err) => {
+            expect(err).to.be.an(HttpError);
+            expect(err.status).to.be(503);
+            expect(requests.filter(({ method }) => method === 'PUT')).to.have.length(1);
+        });
+    });
+});
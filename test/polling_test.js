@@ -0,0 +1,46 @@
+// Copyright (C) 2007-2017, GoodData(R) Corporation. All rights reserved.
+import { getPollingDelay, isPollingExhausted } from '../src/utils/polling';
+
+describe('polling', () => {
+    describe('getPollingDelay', () => {
+        it('should use fixed delay by default', () => {
+            expect(getPollingDelay({ pollDelay: 100 }, 1)).to.be(100);
+            expect(getPollingDelay({ pollDelay: 100 }, 5)).to.be(100);
+        });
+
+        it('should support delay function', () => {
+            expect(getPollingDelay({ pollDelay: () => 50 }, 3)).to.be(50);
+        });
+
+        it('should grow linearly', () => {
+            expect(getPollingDelay({ pollDelay: 100, pollBackoff: 'linear' }, 1)).to.be(100);
+            expect(getPollingDelay({ pollDelay: 100, pollBackoff: 'linear' }, 3)).to.be(300);
+        });
+
+        it('should grow exponentially', () => {
+            expect(getPollingDelay({ pollDelay: 100, pollBackoff: 'exponential' }, 1)).to.be(100);
+            expect(getPollingDelay({ pollDelay: 100, pollBackoff: 'exponential' }, 4)).to.be(800);
+        });
+
+        it('should cap delay', () => {
+            const settings = { pollDelay: 100, pollBackoff: 'exponential', pollMaxDelay: 500 };
+            expect(getPollingDelay(settings, 10)).to.be(500);
+        });
+    });
+
+    describe('isPollingExhausted', () => {
+        it('should not limit polling by default', () => {
+            expect(isPollingExhausted({}, 1000, 1000000)).to.be(false);
+        });
+
+        it('should limit number of attempts', () => {
+            expect(isPollingExhausted({ pollMaxAttempts: 3 }, 3, 0)).to.be(false);
+            expect(isPollingExhausted({ pollMaxAttempts: 3 }, 4, 0)).to.be(true);
+        });
+
+        it('should limit duration', () => {
+            expect(isPollingExhausted({ pollTimeout: 1000 }, 1, 999)).to.be(false);
+            expect(isPollingExhausted({ pollTimeout: 1000 }, 1, 1000)).to.be(true);
+        });
+    });
+});
@@ -1,11 +1,15 @@
 // Copyright (C) 2007-2014, GoodData(R) Corporation. All rights reserved.
 import fetchMock from './utils/fetch-mock';
 import * as project from '../src/project';
+import * as bootstrapModule from '../src/bootstrap';
+import { isCancelledError, TimeoutError, ValidationError } from '../src/errors';
+import { createAbortController } from './helpers/abort';
 
 describe('project', () => {
     describe('with fake server', () => {
         afterEach(() => {
             fetchMock.restore();
+            bootstrapModule.clearCache();
         });
 
         describe('getProjects', () => {
@@ -64,6 +68,28 @@ describe('project', () => {
                 );
                 return project.getColorPalette('myFakeProjectId').then(null, err => expect(err).to.be.an(Error));
             });
+            it('should reject with typed error when resource fails', () => {
+                fetchMock.mock(
+                    '/gdc/projects/myFakeProjectId/styleSettings',
+                    400
+                );
+                return project.getColorPalette('myFakeProjectId').then(() => {
+                    expect().fail('Should reject with 400');
+                }, (err) => {
+                    expect(err).to.be.a(ValidationError);
+                    expect(err.status).to.be(400);
+                });
+            });
+            it('should return default palette when project has no style settings', () => {
+                fetchMock.mock(
+                    '/gdc/projects/myFakeProjectId/styleSettings',
+                    404
+                );
+                return project.getColorPalette('myFakeProjectId').then((result) => {
+                    expect(result.length).to.be(18);
+                    expect(result[0]).to.eql({ r: 0x2b, g: 0x6b, b: 0xae });
+                });
+            });
             it('should return an array of color objects in the right order', () => {
                 fetchMock.mock(
                     '/gdc/projects/myFakeProjectId/styleSettings',
@@ -173,6 +199,19 @@ describe('project', () => {
                     expect(response).to.eql(responseJSON);
                 });
             });
+
+            it('should refetch timezone after it was changed', () => {
+                const bootstrapUrl = '/gdc/app/account/bootstrap?projectId=prjId';
+                fetchMock.mock(bootstrapUrl, { status: 200, body: JSON.stringify({ bootstrapResource: {} }) });
+                fetchMock.mock('/gdc/md/prjId/service/timezone', 'POST', { status: 200, body: '{}' });
+
+                return project.getTimezone('prjId')
+                    .then(() => project.setTimezone('prjId', 'Europe/Prague'))
+                    .then(() => project.getTimezone('prjId'))
+                    .then(() => {
+                        expect(fetchMock.calls(bootstrapUrl)).to.have.length(2);
+                    });
+            });
         });
 
         describe('createProject', () => {
@@ -256,6 +295,30 @@ describe('project', () => {
                     });
                 });
 
+                it('should stop polling when cancelled', () => {
+                    const controller = createAbortController();
+
+                    fetchMock.mock(
+                        projectUri,
+                        'GET',
+                        () => {
+                            controller.abort();
+
+                            return {
+                                status: 200,
+                                body: JSON.stringify(pendingProject)
+                            };
+                        }
+                    );
+
+                    return project.createProject({ pollStep: 1, signal: controller.signal }).then(() => {
+                        expect().fail('Should reject the promise if project creation was cancelled');
+                    }, (err) => {
+                        expect(isCancelledError(err)).to.be(true);
+                        expect(fetchMock.calls(projectUri).length).to.be(1);
+                    });
+                });
+
                 it('should reject if maximum polling attempts reached', () => {
                     let counter = 0;
 
@@ -278,6 +341,8 @@ describe('project', () => {
                         expect().fail('Should reject the promise if create project ended with 400');
                     }, (err) => {
                         expect(err).to.be.an(Error);
+                        expect(err).to.be.a(TimeoutError);
+                        expect(err.url).to.be(projectUri);
                     });
                 });
             });
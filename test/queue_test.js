@@ -0,0 +1,110 @@
+// Copyright (C) 2007-2017, GoodData(R) Corporation. All rights reserved.
+import { createQueue } from '../src/utils/queue';
+import { CancelledError } from '../src/errors';
+import { createAbortController } from './helpers/abort';
+
+function createDeferredTask(log, name) {
+    let resolve;
+    const task = () => {
+        log.push(name);
+        return new Promise((r) => {
+            resolve = r;
+        });
+    };
+
+    return { task, resolve: value => resolve(value) };
+}
+
+describe('queue', () => {
+    it('should run tasks synchronously without limit', () => {
+        const log = [];
+        const queue = createQueue(() => undefined);
+
+        queue.schedule(createDeferredTask(log, 'a').task);
+        queue.schedule(createDeferredTask(log, 'b').task);
+
+        expect(log).to.eql(['a', 'b']);
+        expect(queue.getRunningCount()).to.be(2);
+    });
+
+    it('should run waiting task when slot is released', () => {
+        const log = [];
+        const queue = createQueue(() => 1);
+        const a = createDeferredTask(log, 'a');
+        const b = createDeferredTask(log, 'b');
+
+        const resultA = queue.schedule(a.task);
+        const resultB = queue.schedule(b.task);
+
+        expect(log).to.eql(['a']);
+        expect(queue.getPendingCount()).to.be(1);
+
+        a.resolve('A');
+
+        return resultA.then((value) => {
+            expect(value).to.be('A');
+            expect(log).to.eql(['a', 'b']);
+            b.resolve('B');
+            return resultB;
+        }).then((value) => {
+            expect(value).to.be('B');
+            expect(queue.getRunningCount()).to.be(0);
+        });
+    });
+
+    it('should release slot when task fails', () => {
+        const log = [];
+        const queue = createQueue(() => 1);
+        const b = createDeferredTask(log, 'b');
+
+        const resultA = queue.schedule(() => {
+            throw new Error('failed');
+        });
+        queue.schedule(b.task);
+
+        return resultA.then(null, (err) => {
+            expect(err.message).to.be('failed');
+            expect(log).to.eql(['b']);
+        });
+    });
+
+    it('should run waiting tasks by priority', () => {
+        const log = [];
+        const queue = createQueue(() => 1);
+        const first = createDeferredTask(log, 'first');
+        const low = createDeferredTask(log, 'low');
+        const high = createDeferredTask(log, 'high');
+        const normal = createDeferredTask(log, 'normal');
+
+        const result = queue.schedule(first.task);
+        queue.schedule(low.task, { priority: -1 });
+        queue.schedule(normal.task);
+        queue.schedule(high.task, { priority: 10 });
+
+        first.resolve();
+
+        return result.then(() => {
+            expect(log).to.eql(['first', 'high']);
+        });
+    });
+
+    it('should remove cancelled task from the queue', () => {
+        const log = [];
+        const queue = createQueue(() => 1);
+        const a = createDeferredTask(log, 'a');
+        const controller = createAbortController();
+
+        queue.schedule(a.task);
+        const result = queue.schedule(createDeferredTask(log, 'b').task, { signal: controller.signal });
+
+        controller.abort();
+
+        return result.then(() => {
+            throw new Error('should be cancelled');
+        }, (err) => {
+            expect(err).to.be.a(CancelledError);
+            expect(queue.getPendingCount()).to.be(0);
+            expect(controller.signal.listenerCount()).to.be(0);
+        });
+    });
+});
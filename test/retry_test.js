@@ -0,0 +1,104 @@
+// Copyright (C) 2007-2017, GoodData(R) Corporation. All rights reserved.
+import {
+    DEFAULT_RETRY_POLICY,
+    getRetryPolicy,
+    shouldRetry,
+    parseRetryAfter,
+    getRetryDelay
+} from '../src/utils/retry';
+
+const responseWith = (status, headers = {}) => ({
+    status,
+    headers: {
+        get: name => headers[name]
+    }
+});
+
+describe('retry', () => {
+    describe('getRetryPolicy', () => {
+        it('should disable retries for falsy setting', () => {
+            expect(getRetryPolicy()).to.be(null);
+            expect(getRetryPolicy(false)).to.be(null);
+        });
+
+        it('should return default policy for true', () => {
+            expect(getRetryPolicy(true)).to.eql(DEFAULT_RETRY_POLICY);
+        });
+
+        it('should override default policy', () => {
+            const policy = getRetryPolicy({ maxAttempts: 5 });
+            expect(policy.maxAttempts).to.be(5);
+            expect(policy.statuses).to.eql(DEFAULT_RETRY_POLICY.statuses);
+        });
+    });
+
+    describe('shouldRetry', () => {
+        const policy = getRetryPolicy(true);
+
+        it('should retry retryable statuses of idempotent methods', () => {
+            expect(shouldRetry(policy, 'GET', 1, responseWith(503))).to.be(true);
+            expect(shouldRetry(policy, 'delete', 1, responseWith(429))).to.be(true);
+            expect(shouldRetry(policy, 'GET', 1, responseWith(404))).to.be(false);
+            expect(shouldRetry(policy, 'POST', 1, responseWith(503))).to.be(false);
+        });
+
+        it('should retry network failure', () => {
+            expect(shouldRetry(policy, 'GET', 1)).to.be(true);
+        });
+
+        it('should stop after max attempts', () => {
+            expect(shouldRetry(policy, 'GET', 3, responseWith(503))).to.be(false);
+        });
+
+        it('should not retry without policy', () => {
+            expect(shouldRetry(null, 'GET', 1, responseWith(503))).to.be(false);
+        });
+    });
+
+    describe('parseRetryAfter', () => {
+        it('should parse seconds', () => {
+            expect(parseRetryAfter(responseWith(429, { 'Retry-After': '3' }))).to.be(3000);
+        });
+
+        it('should parse HTTP date', () => {
+            const date = new Date(Date.now() + 10000).toUTCString();
+            const ms = parseRetryAfter(responseWith(429, { 'Retry-After': date }));
+            expect(ms).to.be.within(8000, 10000);
+        });
+
+        it('should return null for missing or invalid header', () => {
+            expect(parseRetryAfter(responseWith(429))).to.be(null);
+            expect(parseRetryAfter(responseWith(429, { 'Retry-After': 'soon' }))).to.be(null);
+            expect(parseRetryAfter()).to.be(null);
+        });
+    });
+
+    describe('getRetryDelay', () => {
+        const policy = getRetryPolicy({ jitter: false, baseDelay: 100, maxDelay: 1000 });
+
+        it('should back off exponentially', () => {
+            expect(getRetryDelay(policy, 1)).to.be(100);
+            expect(getRetryDelay(policy, 2)).to.be(200);
+            expect(getRetryDelay(policy, 3)).to.be(400);
+        });
+
+        it('should cap delay by maxDelay', () => {
+            expect(getRetryDelay(policy, 10)).to.be(1000);
+            expect(getRetryDelay(policy, 1, responseWith(503, { 'Retry-After': '60' }))).to.be(1000);
+        });
+
+        it('should honor Retry-After', () => {
+            expect(getRetryDelay(policy, 1, responseWith(503, { 'Retry-After': '0' }))).to.be(0);
+        });
+
+        it('should ignore Retry-After if disabled', () => {
+            const noRetryAfter = { ...policy, respectRetryAfter: false };
+            expect(getRetryDelay(noRetryAfter, 1, responseWith(503, { 'Retry-After': '0' }))).to.be(100);
+        });
+
+        it('should apply jitter within backoff', () => {
+            const jittered = { ...policy, jitter: true };
+            expect(getRetryDelay(jittered, 2)).to.be.within(0, 200);
+        });
+    });
+});
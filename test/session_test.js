@@ -0,0 +1,92 @@
+// Copyright (C) 2007-2017, GoodData(R) Corporation. All rights reserved.
+import { createSession } from '../src/utils/session';
+
+describe('session', () => {
+    it('should be anonymous by default', () => {
+        const session = createSession();
+
+        expect(session.getState()).to.eql({ status: 'anonymous', profile: undefined });
+        expect(session.isAuthenticated()).to.be(false);
+    });
+
+    it('should notify subscribers about changes', () => {
+        const session = createSession();
+        const listener = sinon.spy();
+        const unsubscribe = session.subscribe(listener);
+
+        session.authenticate('/gdc/account/profile/john');
+        session.authenticate();
+        session.expire();
+        unsubscribe();
+        session.clear();
+
+        expect(listener.args).to.eql([
+            [{ status: 'authenticated', profile: '/gdc/account/profile/john' }],
+            [{ status: 'expired', profile: '/gdc/account/profile/john' }]
+        ]);
+    });
+
+    it('should keep anonymous session on expiration', () => {
+        const session = createSession();
+        const listener = sinon.spy();
+        session.subscribe(listener);
+
+        session.expire();
+
+        expect(session.getState().status).to.be('anonymous');
+        expect(listener.called).to.be(false);
+    });
+
+    it('should unsubscribe listener', () => {
+        const session = createSession();
+        const listener = sinon.spy();
+        session.subscribe(listener);
+
+        session.unsubscribe(listener);
+        session.authenticate();
+
+        expect(listener.called).to.be(false);
+    });
+
+    describe('keepalive', () => {
+        let clock;
+
+        beforeEach(() => {
+            clock = sinon.useFakeTimers();
+        });
+
+        afterEach(() => {
+            clock.restore();
+        });
+
+        it('should ping periodically until stopped', () => {
+            const ping = sinon.spy();
+            const session = createSession(ping);
+
+            session.startKeepalive({ interval: 1000 });
+            clock.tick(2500);
+            session.stopKeepalive();
+            clock.tick(2000);
+
+            expect(ping.callCount).to.be(2);
+            expect(session.isKeepaliveRunning()).to.be(false);
+        });
+
+        it('should stop on expiration and clear', () => {
+            const ping = sinon.spy();
+            const session = createSession(ping);
+            session.authenticate();
+
+            session.startKeepalive({ interval: 1000 });
+            session.expire();
+            clock.tick(1000);
+
+            expect(ping.called).to.be(false);
+
+            session.startKeepalive();
+            session.clear();
+
+            expect(session.isKeepaliveRunning()).to.be(false);
+        });
+    });
+});
@@ -0,0 +1,42 @@
+// Copyright (C) 2007-2017, GoodData(R) Corporation. All rights reserved.
+import { createTokenManager } from '../src/utils/tokens';
+import { InvalidArgumentError } from '../src/errors';
+
+describe('tokens', () => {
+    it('should use cookie mode by default', () => {
+        const tokens = createTokenManager();
+
+        expect(tokens.getMode()).to.be('cookie');
+        expect(tokens.isHeaderMode()).to.be(false);
+    });
+
+    it('should switch to header mode', () => {
+        const tokens = createTokenManager();
+
+        tokens.setMode('header');
+
+        expect(tokens.getMode()).to.be('header');
+        expect(tokens.isHeaderMode()).to.be(true);
+    });
+
+    it('should reject unknown mode', () => {
+        const tokens = createTokenManager();
+
+        expect(() => tokens.setMode('session')).to.throwError(e => expect(e).to.be.an(InvalidArgumentError));
+    });
+
+    it('should keep and clear tokens', () => {
+        const tokens = createTokenManager();
+
+        tokens.setSuperSecuredToken('sst');
+        tokens.setTemporaryToken('tt');
+
+        expect(tokens.getSuperSecuredToken()).to.be('sst');
+        expect(tokens.getTemporaryToken()).to.be('tt');
+
+        tokens.clear();
+
+        expect(tokens.getSuperSecuredToken()).to.be(undefined);
+        expect(tokens.getTemporaryToken()).to.be(undefined);
+    });
+});
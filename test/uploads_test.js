@@ -0,0 +1,133 @@
+// Copyright (C) 2007-2017, GoodData(R) Corporation. All rights reserved.
+import fetchMock from './utils/fetch-mock';
+import * as uploads from '../src/uploads';
+import { HttpError } from '../src/errors';
+
+const MULTISTATUS = `<?xml version="1.0" encoding="utf-8"?>
+<D:multistatus xmlns:D="DAV:">
+    <D:response>
+        <D:href>/gdc/uploads/load/</D:href>
+        <D:propstat><D:prop><D:resourcetype><D:collection/></D:resourcetype></D:prop></D:propstat>
+    </D:response>
+    <D:response>
+        <D:href>https://secure.gooddata.com/gdc/uploads/load/data%20set.csv</D:href>
+        <D:propstat>
+            <D:prop>
+                <D:resourcetype/>
+                <D:getcontentlength>1024</D:getcontentlength>
+                <D:getlastmodified>Tue, 10 Oct 2017 10:00:00 GMT</D:getlastmodified>
+            </D:prop>
+        </D:propstat>
+    </D:response>
+    <D:response>
+        <D:href>/gdc/uploads/load/R%26D/</D:href>
+        <D:propstat><D:prop><D:resourcetype><D:collection/></D:resourcetype></D:prop></D:propstat>
+    </D:response>
+</D:multistatus>`;
+
+describe('uploads', () => {
+    afterEach(() => {
+        fetchMock.restore();
+    });
+
+    describe('getStagingUri', () => {
+        it('should encode path segments', () => {
+            expect(uploads.getStagingUri('/load/data set.csv')).to.be('/gdc/uploads/load/data%20set.csv');
+            expect(uploads.getStagingUri('load/')).to.be('/gdc/uploads/load/');
+            expect(uploads.getStagingUri()).to.be('/gdc/uploads');
+        });
+    });
+
+    describe('upload', () => {
+        it('should put content with type derived from extension', () => {
+            fetchMock.mock('/gdc/uploads/load/data.csv', 'PUT', 201);
+
+            return uploads.upload('load/data.csv', 'a,b\n1,2').then((uri) => {
+                const { body, headers, method } = fetchMock.lastOptions();
+
+                expect(uri).to.be('/gdc/uploads/load/data.csv');
+                expect(method).to.be('PUT');
+                expect(body).to.be('a,b\n1,2');
+                expect(headers['Content-Type']).to.be('text/csv');
+            });
+        });
+
+        it('should use given content type', () => {
+            fetchMock.mock('/gdc/uploads/upload_info.json', 'PUT', 201);
+
+            return uploads.upload('upload_info.json', '{}', { contentType: 'text/plain' }).then(() => {
+                expect(fetchMock.lastOptions().headers['Content-Type']).to.be('text/plain');
+            });
+        });
+
+        it('should report progress', () => {
+            const onProgress = sinon.spy();
+            fetchMock.mock('/gdc/uploads/data.csv', 'PUT', 201);
+
+            return uploads.upload('data.csv', 'čau', { onProgress }).then(() => {
+                expect(onProgress.args).to.eql([
+                    [{ loaded: 0, total: 4 }],
+                    [{ loaded: 4, total: 4 }]
+                ]);
+            });
+        });
+
+        it('should reject failed upload', () => {
+            fetchMock.mock('/gdc/uploads/data.csv', 'PUT', 507);
+
+            return uploads.upload('data.csv', 'a').then(() => {
+                expect().fail('Should reject');
+            }, (err) => {
+                expect(err).to.be.an(HttpError);
+                expect(err.response.status).to.be(507);
+            });
+        });
+    });
+
+    describe('createDirectory', () => {
+        it('should send MKCOL request', () => {
+            fetchMock.mock('/gdc/uploads/load/', 'MKCOL', 201);
+
+            return uploads.createDirectory('load').then((uri) => {
+                expect(uri).to.be('/gdc/uploads/load/');
+                expect(fetchMock.lastOptions().method).to.be('MKCOL');
+            });
+        });
+    });
+
+    describe('remove', () => {
+        it('should send DELETE request', () => {
+            fetchMock.mock('/gdc/uploads/load/data.csv', 'DELETE', 204);
+
+            return uploads.remove('load/data.csv').then(() => {
+                expect(fetchMock.calls().matched).to.have.length(1);
+            });
+        });
+    });
+
+    describe('list', () => {
+        it('should list directory content', () => {
+            fetchMock.mock('/gdc/uploads/load/', 'PROPFIND', { status: 207, body: MULTISTATUS });
+
+            return uploads.list('load').then((entries) => {
+                expect(fetchMock.lastOptions().headers.Depth).to.be('1');
+                expect(entries).to.eql([
+                    {
+                        name: 'data set.csv',
+                        path: 'load/data set.csv',
+                        isDirectory: false,
+                        size: 1024,
+                        lastModified: 'Tue, 10 Oct 2017 10:00:00 GMT'
+                    },
+                    {
+                        name: 'R&D',
+                        path: 'load/R&D',
+                        isDirectory: true,
+                        size: undefined,
+                        lastModified: undefined
+                    }
+                ]);
+            });
+        });
+    });
+});
@@ -1,11 +1,15 @@
 // Copyright (C) 2007-2014, GoodData(R) Corporation. All rights reserved.
 import fetchMock from './utils/fetch-mock';
 import * as user from '../src/user';
+import * as xhr from '../src/xhr';
+import * as bootstrap from '../src/bootstrap';
 
 describe('user', () => {
     describe('with fake server', () => {
         afterEach(() => {
             fetchMock.restore();
+            user.session.clear();
+            bootstrap.clearCache();
         });
 
         describe('login', () => {
@@ -39,6 +43,237 @@ describe('user', () => {
             });
         });
 
+        describe('login in header mode', () => {
+            afterEach(() => {
+                xhr.tokens.setMode('cookie');
+                xhr.tokens.clear();
+            });
+
+            it('obtains SST and TT and keeps them in xhr', () => {
+                const userLogin = { profile: '/gdc/account/profile/abcd', token: 'sst' };
+                fetchMock.mock('/gdc/account/login', 'POST', (url, opts) => {
+                    expect(JSON.parse(opts.body).postUserLogin.verify_level).to.be(2);
+                    return { status: 200, body: JSON.stringify({ userLogin }) };
+                });
+                fetchMock.mock('/gdc/account/token', {
+                    status: 200,
+                    body: JSON.stringify({ userToken: { token: 'tt' } })
+                });
+
+                return user.login('login', 'pass', { tokenMode: 'header' }).then((result) => {
+                    expect(result).to.eql({ userLogin });
+                    expect(xhr.tokens.getMode()).to.be('header');
+                    expect(xhr.tokens.getSuperSecuredToken()).to.be('sst');
+                    expect(xhr.tokens.getTemporaryToken()).to.be('tt');
+                });
+            });
+
+            it('keeps tokens in cookies by default', () => {
+                fetchMock.mock('/gdc/account/login', 'POST', (url, opts) => {
+                    expect(JSON.parse(opts.body).postUserLogin.verify_level).to.be(undefined);
+                    return { status: 200, body: JSON.stringify({ userLogin: {} }) };
+                });
+
+                return user.login('login', 'pass').then(() => {
+                    expect(xhr.tokens.getMode()).to.be('cookie');
+                    expect(xhr.tokens.getSuperSecuredToken()).to.be(undefined);
+                });
+            });
+
+            it('switches back to cookies on cookie mode login', () => {
+                fetchMock.mock('/gdc/account/login', 'POST', { status: 200, body: JSON.stringify({ userLogin: {} }) });
+                xhr.tokens.setMode('header');
+                xhr.tokens.setSuperSecuredToken('sst');
+                xhr.tokens.setTemporaryToken('tt');
+
+                return user.login('login', 'pass').then(() => {
+                    expect(xhr.tokens.getMode()).to.be('cookie');
+                    expect(xhr.tokens.getSuperSecuredToken()).to.be(undefined);
+                    expect(xhr.tokens.getTemporaryToken()).to.be(undefined);
+                });
+            });
+
+            it('resets token mode on logout', () => {
+                fetchMock.mock('/gdc/account/token', 200);
+                fetchMock.mock('/gdc/account/login/abcd', 'DELETE', 204);
+                xhr.tokens.setMode('header');
+                user.session.authenticate('/gdc/account/profile/abcd');
+
+                return user.logout().then(() => {
+                    expect(xhr.tokens.getMode()).to.be('cookie');
+                });
+            });
+        });
+
+        describe('SSO login', () => {
+            const userLogin = { profile: '/gdc/account/profile/abcd', state: '/gdc/account/login/abcd' };
+
+            afterEach(() => {
+                xhr.tokens.setMode('cookie');
+                xhr.tokens.clear();
+            });
+
+            it('logs in by PGP encrypted claims', () => {
+                fetchMock.mock('/gdc/account/customerlogin', 'POST', { status: 200, body: JSON.stringify({ userLogin }) });
+
+                return user.loginPgp('claims', 'provider', { targetUrl: '/dashboard.html' }).then((result) => {
+                    expect(result).to.eql({ userLogin });
+                    expect(JSON.parse(fetchMock.lastOptions().body)).to.eql({
+                        pgpLoginRequest: { targetUrl: '/dashboard.html', ssoProvider: 'provider', encryptedClaims: 'claims' }
+                    });
+                });
+            });
+
+            it('keeps tokens of PGP login in header mode', () => {
+                fetchMock.mock('/gdc/account/customerlogin', 'POST', (url, opts) => {
+                    expect(JSON.parse(opts.body).pgpLoginRequest.verify_level).to.be(2);
+                    return { status: 200, body: JSON.stringify({ userLogin: { ...userLogin, token: 'sst' } }) };
+                });
+                fetchMock.mock('/gdc/account/token', { status: 200, body: JSON.stringify({ userToken: { token: 'tt' } }) });
+
+                return user.loginPgp('claims', 'provider', { tokenMode: 'header' }).then(() => {
+                    expect(xhr.tokens.getSuperSecuredToken()).to.be('sst');
+                    expect(xhr.tokens.getTemporaryToken()).to.be('tt');
+                });
+            });
+
+            it('rejects invalid claims without token request', () => {
+                fetchMock.mock('/gdc/account/customerlogin', 'POST', 401);
+                fetchMock.mock('/gdc/account/token', 200);
+
+                return user.loginPgp('claims', 'provider').then(() => {
+                    expect().fail('Should reject');
+                }, (err) => {
+                    expect(err.response.status).to.be(401);
+                    expect(fetchMock.calls('/gdc/account/token')).to.have.length(0);
+                });
+            });
+
+            it('logs in by SAML response', () => {
+                fetchMock.mock('/gdc/account/saml/login', 'POST', { status: 200, body: JSON.stringify({ userLogin }) });
+
+                return user.loginSaml('PHNhbWw+', { relayState: '/dashboard.html' }).then((result) => {
+                    expect(result).to.eql({ userLogin });
+                    expect(JSON.parse(fetchMock.lastOptions().body)).to.eql({
+                        samlLoginRequest: { samlResponse: 'PHNhbWw+', relayState: '/dashboard.html' }
+                    });
+                });
+            });
+
+            it('logs in by SST', () => {
+                fetchMock.mock('/gdc/account/token', (url, opts) => {
+                    expect(opts.headers['X-GDC-AuthSST']).to.be('sst');
+                    return { status: 200, body: JSON.stringify({ userToken: { token: 'tt' } }) };
+                });
+                fetchMock.mock('/gdc/app/account/bootstrap', {
+                    status: 200,
+                    body: JSON.stringify({
+                        bootstrapResource: { accountSetting: { links: { self: '/gdc/account/profile/abcd' } } }
+                    })
+                });
+
+                return user.loginBySst('sst').then((result) => {
+                    expect(result).to.eql({ userLogin: { ...userLogin, token: 'sst' } });
+                    expect(xhr.tokens.getMode()).to.be('header');
+                    expect(xhr.tokens.getTemporaryToken()).to.be('tt');
+                    expect(fetchMock.lastOptions('/gdc/app/account/bootstrap').headers['X-GDC-AuthTT']).to.be('tt');
+                });
+            });
+
+            it('forgets invalid SST', () => {
+                fetchMock.mock('/gdc/account/token', 401);
+
+                return user.loginBySst('expired').then(() => {
+                    expect().fail('Should reject');
+                }, () => {
+                    expect(xhr.tokens.getSuperSecuredToken()).to.be(undefined);
+                });
+            });
+        });
+
+        describe('session', () => {
+            const userLogin = { profile: '/gdc/account/profile/abcd', state: '/gdc/account/login/abcd' };
+
+            it('should be authenticated after login', () => {
+                const listener = sinon.spy();
+                const unsubscribe = user.session.subscribe(listener);
+                fetchMock.mock('/gdc/account/login', 'POST', { status: 200, body: JSON.stringify({ userLogin }) });
+
+                return user.login('login', 'pass').then(() => {
+                    unsubscribe();
+                    expect(user.session.getState()).to.eql({ status: 'authenticated', profile: userLogin.profile });
+                    expect(listener.calledOnce).to.be(true);
+                });
+            });
+
+            it('should expire when token can not be refreshed', () => {
+                fetchMock.mock('/gdc/account/login', 'POST', { status: 200, body: JSON.stringify({ userLogin }) });
+                fetchMock.mock('/gdc/account/token', 401);
+                fetchMock.mock('/gdc/md', 401);
+
+                return user.login('login', 'pass')
+                    .then(() => xhr.get('/gdc/md'))
+                    .then(() => {
+                        expect().fail('Should reject');
+                    }, () => {
+                        expect(user.session.getState().status).to.be('expired');
+                    });
+            });
+
+            it('should be authenticated by refreshed token', () => {
+                fetchMock.mock('/gdc/account/token', 200);
+
+                return xhr.refreshTemporaryToken().then(() => {
+                    expect(user.session.isAuthenticated()).to.be(true);
+                });
+            });
+
+            it('should log out without bootstrap and reset session', () => {
+                fetchMock.mock('/gdc/account/login', 'POST', { status: 200, body: JSON.stringify({ userLogin }) });
+                fetchMock.mock('/gdc/account/token', 200);
+                fetchMock.mock('/gdc/account/login/abcd', 'DELETE', 204);
+
+                return user.login('login', 'pass')
+                    .then(() => {
+                        user.session.startKeepalive();
+                        return user.logout();
+                    })
+                    .then(() => {
+                        expect(fetchMock.calls('/gdc/account/login/abcd')).to.have.length(1);
+                        expect(user.session.getState().status).to.be('anonymous');
+                        expect(user.session.isKeepaliveRunning()).to.be(false);
+                    });
+            });
+
+            it('should stay authenticated when user is logged in', () => {
+                fetchMock.mock('/gdc/account/token', 200);
+                user.session.startKeepalive();
+
+                return user.isLoggedIn().then((loggedIn) => {
+                    expect(loggedIn).to.be(true);
+                    expect(user.session.getState().status).to.be('authenticated');
+                    expect(user.session.isKeepaliveRunning()).to.be(true);
+                });
+            });
+
+            it('should not expire on logout', () => {
+                const listener = sinon.spy();
+                fetchMock.mock('/gdc/account/login', 'POST', { status: 200, body: JSON.stringify({ userLogin }) });
+                fetchMock.mock('/gdc/account/token', 200);
+                fetchMock.mock('/gdc/account/login/abcd', 'DELETE', 204);
+
+                return user.login('login', 'pass')
+                    .then(() => {
+                        user.session.subscribe(listener);
+                        return user.logout();
+                    })
+                    .then(() => {
+                        user.session.unsubscribe(listener);
+                        expect(listener.args.map(([state]) => state.status)).to.eql(['anonymous']);
+                    });
+            });
+        });
+
         describe('isLoggedIn', () => {
             it('should resolve if user logged in', () => {
                 fetchMock.mock(
@@ -59,6 +294,20 @@ describe('user', () => {
                     expect(r).not.to.be.ok();
                 });
             });
+
+            it('should not refresh token nor recover session when user not logged in', () => {
+                const instance = xhr.createModule({});
+                const sdkUser = user.createModule(instance);
+                const onSessionExpired = sinon.spy();
+                instance.ajaxSetup({ onSessionExpired });
+                fetchMock.mock('/gdc/account/token', 401);
+
+                return sdkUser.isLoggedIn().then((loggedIn) => {
+                    expect(loggedIn).to.be(false);
+                    expect(onSessionExpired.called).to.be(false);
+                    expect(fetchMock.calls('/gdc/account/token')).to.have.length(1);
+                });
+            });
         });
 
         describe('logout', () => {
@@ -106,6 +355,43 @@ describe('user', () => {
 
                 return user.logout().then(r => expect(r.ok).to.be.ok());
             });
+
+            it('should log out with cache enabled', () => {
+                const instance = xhr.createModule({});
+                const sdkUser = user.createModule(instance);
+                const cacheStorage = xhr.createMemoryCache();
+                const clear = sinon.spy(cacheStorage, 'clear');
+                let loggedIn = true;
+                instance.ajaxSetup({ cache: true, cacheTtl: 60000, cacheStorage });
+                fetchMock.mock('/gdc/account/token', () => (loggedIn ? 200 : 401));
+                fetchMock.mock('/gdc/account/login', 'POST', {
+                    status: 200,
+                    body: JSON.stringify({ userLogin: { profile: '/gdc/account/profile/abcd' } })
+                });
+                fetchMock.mock('/gdc/account/login/abcd', 'DELETE', () => {
+                    loggedIn = false;
+                    return 204;
+                });
+                fetchMock.mock('/gdc/md/obj/1', { status: 200, body: JSON.stringify({ obj: 1 }) });
+
+                return sdkUser.login('login', 'pass')
+                    .then(() => instance.get('/gdc/md/obj/1'))
+                    .then(() => sdkUser.isLoggedIn())
+                    .then((result) => {
+                        expect(result).to.be(true);
+                        return sdkUser.logout();
+                    })
+                    .then(() => sdkUser.isLoggedIn())
+                    .then((result) => {
+                        expect(result).to.be(false);
+                        return instance.get('/gdc/md/obj/1');
+                    })
+                    .then(() => {
+                        expect(fetchMock.calls('/gdc/md/obj/1')).to.have.length(2);
+                        // on login and logout
+                        expect(clear.calledTwice).to.be(true);
+                    });
+            });
         });
 
         describe('updateProfileSettings', () => {
@@ -169,5 +455,96 @@ describe('user', () => {
                 });
             });
         });
+
+        describe('permissions', () => {
+            const mockPermissions = (projectId, permissions) => {
+                fetchMock.mock(
+                    '/gdc/app/account/bootstrap',
+                    'GET',
+                    {
+                        status: 200,
+                        body: JSON.stringify({
+                            bootstrapResource: { accountSetting: { links: { self: '/gdc/account/profile/john' } } }
+                        })
+                    }
+                );
+                fetchMock.mock(
+                    `/gdc/projects/${projectId}/users/john/permissions`,
+                    'GET',
+                    {
+                        status: 200,
+                        body: JSON.stringify({ associatedPermissions: { permissions } })
+                    }
+                );
+            };
+
+            it('should return permissions of current user as booleans', () => {
+                mockPermissions('p1', { canCreateMetric: '1', canManageProject: '0', canExportReport: true });
+
+                return user.getPermissions('p1').then((permissions) => {
+                    expect(permissions).to.eql({
+                        canCreateMetric: true,
+                        canManageProject: false,
+                        canExportReport: true
+                    });
+                });
+            });
+
+            it('should check single permission', () => {
+                mockPermissions('p2', { canCreateMetric: '1', canManageProject: '0' });
+
+                return Promise.all([
+                    user.can('p2', 'canCreateMetric'),
+                    user.can('p2', 'canManageProject'),
+                    user.can('p2', 'canDoAnything')
+                ]).then((result) => {
+                    expect(result).to.eql([true, false, false]);
+                    expect(fetchMock.calls('/gdc/projects/p2/users/john/permissions')).to.have.length(1);
+                });
+            });
+
+            it('should check many permissions', () => {
+                mockPermissions('p3', { canCreateMetric: '1', canManageUsers: '1', canExportReport: '0' });
+
+                return user.canEach('p3', ['canManageUsers', 'canExportReport', 'canDoAnything']).then((result) => {
+                    expect(result).to.eql({
+                        canManageUsers: true,
+                        canExportReport: false,
+                        canDoAnything: false
+                    });
+                });
+            });
+
+            it('should not cache failed request', () => {
+                fetchMock.mock('/gdc/projects/p4/users/john/permissions', 'GET', 500);
+                mockPermissions('p4', {});
+
+                return user.getPermissions('p4').then(() => {
+                    expect().fail('Should reject');
+                }, () => {
+                    fetchMock.restore();
+                    mockPermissions('p4', { canCreateMetric: '1' });
+
+                    return user.can('p4', 'canCreateMetric');
+                }).then((allowed) => {
+                    expect(allowed).to.be(true);
+                });
+            });
+
+            it('should fetch permissions again after login', () => {
+                mockPermissions('p5', { canCreateMetric: '1' });
+                fetchMock.mock('/gdc/account/login', 'POST', {
+                    status: 200,
+                    body: JSON.stringify({ userLogin: { profile: '/gdc/account/profile/john' } })
+                });
+
+                return user.getPermissions('p5')
+                    .then(() => user.login('login', 'pass'))
+                    .then(() => user.getPermissions('p5'))
+                    .then(() => {
+                        expect(fetchMock.calls('/gdc/projects/p5/users/john/permissions')).to.have.length(2);
+                    });
+            });
+        });
     });
 });
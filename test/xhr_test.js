@@ -1,8 +1,19 @@
 // Copyright (C) 2007-2013, GoodData(R) Corporation. All rights reserved.
+import { omit } from 'lodash';
 import fetchMock from './utils/fetch-mock';
 
 import * as xhr from '../src/xhr';
+import * as user from '../src/user';
 import { setCustomDomain } from '../src/config';
+import {
+    CancelledError,
+    TimeoutError,
+    HttpError,
+    NotFoundError,
+    UnauthorizedError,
+    isCancelledError
+} from '../src/errors';
+import { createAbortController } from './helpers/abort';
 
 describe('fetch', () => {
     afterEach(() => {
@@ -38,53 +49,1178 @@ describe('fetch', () => {
             });
         });
 
+        it('should reject with typed error with decoded payload', () => {
+            fetchMock.mock('/some/url', {
+                status: 404,
+                body: JSON.stringify({ error: { message: 'Object %s not found', parameters: ['1'] } })
+            });
+
+            return xhr.ajax('/some/url').then(() => {
+                expect().fail('should be rejected');
+            }, (err) => {
+                expect(err).to.be.a(NotFoundError);
+                expect(err).to.be.an(HttpError);
+                expect(err.status).to.be(404);
+                expect(err.message).to.be('Object 1 not found');
+                expect(err.response.status).to.be(404);
+            });
+        });
+
         it('should have accept header set on application/json', () => {
             fetchMock.mock('/some/url', 200);
-            xhr.ajax('/some/url');
-            expect(fetchMock.calls().matched[0][1].headers.Accept).to.be('application/json; charset=utf-8');
+            xhr.ajax('/some/url');
+            expect(fetchMock.calls().matched[0][1].headers.Accept).to.be('application/json; charset=utf-8');
+        });
+    });
+
+    describe('xhr.ajax headers', () => {
+        afterEach(() => {
+            xhr.ajaxSetup({ headers: undefined });
+        });
+
+        it('should merge default, global and request headers', () => {
+            fetchMock.mock('/some/url', 200);
+            xhr.ajaxSetup({ headers: { 'X-Global': 'global', 'X-Overridden': 'global' } });
+
+            xhr.ajax('/some/url', { headers: { 'X-Request': 'request', 'X-Overridden': 'request' } });
+
+            const { headers } = fetchMock.lastCall('/some/url')[1];
+            expect(headers['X-GDC-REQUEST']).to.be.a('string');
+            expect(omit(headers, 'X-GDC-REQUEST')).to.eql({
+                Accept: 'application/json; charset=utf-8',
+                'Content-Type': 'application/json',
+                'X-Global': 'global',
+                'X-Request': 'request',
+                'X-Overridden': 'request'
+            });
+        });
+
+        it('should override default headers case insensitively', () => {
+            fetchMock.mock('/some/url', 200);
+
+            xhr.ajax('/some/url', { headers: { accept: 'text/csv' } });
+
+            const { headers } = fetchMock.lastCall('/some/url')[1];
+            expect(headers.accept).to.be('text/csv');
+            expect(headers.Accept).to.be(undefined);
+        });
+
+        it('should keep headers set by beforeSend', () => {
+            fetchMock.mock('/some/url', 200);
+
+            xhr.ajax('/some/url', {
+                headers: { 'X-Request': 'request' },
+                beforeSend(xhrObj) {
+                    xhrObj.setRequestHeader('X-GDC-REQUEST', 'id');
+                }
+            });
+
+            const { headers } = fetchMock.lastCall('/some/url')[1];
+            expect(headers['X-Request']).to.be('request');
+            expect(headers['X-GDC-REQUEST']).to.be('id');
+        });
+
+        it('should set Content-Type from contentType setting', () => {
+            fetchMock.mock('/some/url', 200);
+
+            xhr.ajax('/some/url', { method: 'POST', body: 'plain text', contentType: 'text/plain' });
+
+            const { headers, body } = fetchMock.lastCall('/some/url')[1];
+            expect(headers['Content-Type']).to.be('text/plain');
+            expect(body).to.be('plain text');
+        });
+
+        it('should not force JSON Content-Type for raw bodies', () => {
+            fetchMock.mock('/some/url', 200);
+            const body = new Uint8Array([1, 2, 3]);
+
+            xhr.ajax('/some/url', { method: 'PUT', body });
+
+            const settings = fetchMock.lastCall('/some/url')[1];
+            expect(settings.body).to.be(body);
+            expect(settings.headers['Content-Type']).to.be(undefined);
+            expect(settings.headers.Accept).to.be('application/json; charset=utf-8');
+        });
+
+        it('should not force JSON Content-Type for streams', () => {
+            fetchMock.mock('/some/url', 200);
+            const stream = { pipe() {} };
+
+            xhr.ajax('/some/url', { method: 'PUT', body: stream });
+
+            const settings = fetchMock.lastCall('/some/url')[1];
+            expect(settings.body).to.be(stream);
+            expect(settings.headers['Content-Type']).to.be(undefined);
+        });
+
+        it('should respect explicit Content-Type of raw body', () => {
+            fetchMock.mock('/some/url', 200);
+
+            xhr.ajax('/some/url', {
+                method: 'PUT',
+                body: new Uint8Array([1]),
+                headers: { 'content-type': 'application/octet-stream' }
+            });
+
+            const { headers } = fetchMock.lastCall('/some/url')[1];
+            expect(omit(headers, 'X-GDC-REQUEST')).to.eql({
+                Accept: 'application/json; charset=utf-8',
+                'content-type': 'application/octet-stream'
+            });
+        });
+    });
+
+    describe('xhr.ajax request id', () => {
+        const requestIds = path => fetchMock.calls().matched
+            .filter(([url]) => url === path)
+            .map(([, settings]) => settings.headers['X-GDC-REQUEST']);
+
+        afterEach(() => {
+            xhr.ajaxSetup({ requestIdPrefix: undefined, requestIdGenerator: undefined, headers: undefined });
+        });
+
+        it('should generate unique id for every request', () => {
+            fetchMock.mock('/some/url', 200);
+
+            return Promise.all([xhr.ajax('/some/url'), xhr.ajax('/some/url')]).then(() => {
+                const [first, second] = requestIds('/some/url');
+                expect(first).to.be.a('string');
+                expect(first).to.not.be(second);
+            });
+        });
+
+        it('should use prefix and custom generator', () => {
+            fetchMock.mock('/some/url', 200);
+            xhr.ajaxSetup({ requestIdPrefix: 'dashboard', requestIdGenerator: () => '123' });
+
+            return xhr.ajax('/some/url').then(() => {
+                expect(requestIds('/some/url')).to.eql(['dashboard:123']);
+            });
+        });
+
+        it('should not generate id when disabled', () => {
+            fetchMock.mock('/some/url', 200);
+
+            return xhr.ajax('/some/url', { requestIdGenerator: false }).then(() => {
+                expect(requestIds('/some/url')).to.eql([undefined]);
+            });
+        });
+
+        it('should keep id set by caller', () => {
+            fetchMock.mock('/some/url', 200);
+            xhr.ajaxSetup({ headers: { 'x-gdc-request': 'global' } });
+
+            return xhr.ajax('/some/url').then(() => {
+                const { headers } = fetchMock.lastCall('/some/url')[1];
+                expect(headers['x-gdc-request']).to.be('global');
+                expect(headers['X-GDC-REQUEST']).to.be(undefined);
+            });
+        });
+
+        it('should keep id across token refresh and polling', () => {
+            let calls = 0;
+            fetchMock.mock('/some/url', () => {
+                calls += 1;
+                return [401, 202, 200][calls - 1];
+            });
+            fetchMock.mock('/gdc/account/token', 200);
+            xhr.ajaxSetup({ requestIdGenerator: () => `id${calls}` });
+
+            return xhr.ajax('/some/url', { pollDelay: 0 }).then(() => {
+                expect(requestIds('/some/url')).to.eql(['id0', 'id0', 'id0']);
+                expect(requestIds('/gdc/account/token')).to.eql(['id0:token']);
+            });
+        });
+
+        it('should set id on errors', () => {
+            fetchMock.mock('/some/url', 400);
+            xhr.ajaxSetup({ requestIdGenerator: () => 'abc' });
+
+            return xhr.ajax('/some/url').then(() => {
+                throw new Error('should fail');
+            }, (err) => {
+                expect(err).to.be.an(HttpError);
+                expect(err.requestId).to.be('abc');
+            });
+        });
+
+        it('should set id on network errors', () => {
+            const errorListener = sinon.spy();
+            const unsubscribe = xhr.on('error', errorListener);
+            fetchMock.mock('/some/url', { throws: new TypeError('Failed to fetch') });
+            xhr.ajaxSetup({ requestIdGenerator: () => 'abc' });
+
+            return xhr.ajax('/some/url').then(() => {
+                throw new Error('should fail');
+            }, (err) => {
+                unsubscribe();
+                expect(err).to.be.a(TypeError);
+                expect(err.requestId).to.be('abc');
+                expect(errorListener.firstCall.args[0].requestId).to.be('abc');
+            });
+        });
+
+        it('should set id set by caller on errors', () => {
+            fetchMock.mock('/some/url', { throws: new TypeError('Failed to fetch') });
+            xhr.ajaxSetup({ headers: { 'x-gdc-request': 'global' } });
+
+            return xhr.ajax('/some/url').then(() => {
+                throw new Error('should fail');
+            }, (err) => {
+                expect(err.requestId).to.be('global');
+            });
+        });
+
+        it('should prefer id reported by server on errors', () => {
+            fetchMock.mock('/some/url', {
+                status: 400,
+                body: JSON.stringify({ error: { message: 'Bad', requestId: 'server-id' } })
+            });
+
+            return xhr.ajax('/some/url').then(() => {
+                throw new Error('should fail');
+            }, (err) => {
+                expect(err.requestId).to.be('server-id');
+            });
+        });
+    });
+
+    describe('xhr.ajax unauthorized handling', () => {
+        it('should renew token when TT expires', () => {
+            fetchMock.mock('/some/url', (url) => {
+                // for the first time return 401 - simulate no token
+                if (fetchMock.calls(url).length === 1) {
+                    return 401;
+                }
+
+                return 200;
+            })
+            .mock('/gdc/account/token', 200);
+            return xhr.ajax('/some/url').then((r) => {
+                expect(r.status).to.be(200);
+            });
+        });
+
+        it('should fail if token renewal fails', () => {
+            fetchMock.mock('/some/url', 401)
+                     .mock('/gdc/account/token', 401);
+            return xhr.ajax('/some/url').then(null, (err) => {
+                expect(err.response.status).to.be(401);
+            });
+        });
+
+        it('should reject with UnauthorizedError if token renewal fails', () => {
+            fetchMock.mock('/some/url', 401)
+                     .mock('/gdc/account/token', 401);
+            return xhr.ajax('/some/url').then(() => {
+                expect().fail('should be rejected');
+            }, (err) => {
+                expect(err).to.be.an(UnauthorizedError);
+            });
+        });
+
+        it('should reject with UnauthorizedError if token renewal errors', () => {
+            fetchMock.mock('/some/url', 401)
+                     .mock('/gdc/account/token', 500);
+            return xhr.ajax('/some/url').then(() => {
+                expect().fail('should be rejected');
+            }, (err) => {
+                expect(err).to.be.an(UnauthorizedError);
+                expect(err.status).to.be(500);
+            });
+        });
+
+        it('should reject login request with UnauthorizedError', () => {
+            fetchMock.mock('/gdc/account/login', 401);
+            return xhr.ajax('/gdc/account/login', { method: 'POST' }).then(() => {
+                expect().fail('should be rejected');
+            }, (err) => {
+                expect(err).to.be.an(UnauthorizedError);
+                expect(fetchMock.calls('/gdc/account/token').length).to.be(0);
+            });
+        });
+
+        it('should correctly handle multiple requests with token request in progress', () => {
+            const firstFailedMatcher = () => {
+                if (fetchMock.calls('/some/url/1').length === 1) {
+                    return 401;
+                }
+
+                return 200;
+            };
+
+            fetchMock.mock('/some/url/1', firstFailedMatcher)
+                     .mock('/some/url/2', firstFailedMatcher)
+                     .mock('/gdc/account/token', 200);
+
+            return Promise.all([xhr.ajax('/some/url/1'), xhr.ajax('/some/url/2')]).then((r) => {
+                expect(r[0].status).to.be(200);
+                expect(r[1].status).to.be(200);
+            });
+        });
+    });
+
+    describe('xhr.ajax retry', () => {
+        const failFirst = (status, count = 1) => (url) => {
+            if (fetchMock.calls(url).length <= count) {
+                return status;
+            }
+
+            return { status: 200, body: 'retried' };
+        };
+
+        afterEach(() => {
+            xhr.ajaxSetup({ retry: undefined });
+        });
+
+        it('should not retry by default', () => {
+            fetchMock.mock('/some/url', failFirst(503));
+
+            return xhr.ajax('/some/url').then(() => {
+                expect().fail('should be rejected');
+            }, (err) => {
+                expect(err.response.status).to.be(503);
+                expect(fetchMock.calls('/some/url').length).to.be(1);
+            });
+        });
+
+        it('should retry transient failure when enabled per request', () => {
+            fetchMock.mock('/some/url', failFirst(503, 2));
+
+            return xhr.ajax('/some/url', { retry: { baseDelay: 0 } }).then((r) => {
+                expect(r.status).to.be(200);
+                expect(fetchMock.calls('/some/url').length).to.be(3);
+            });
+        });
+
+        it('should retry when enabled globally via ajaxSetup', () => {
+            xhr.ajaxSetup({ retry: { baseDelay: 0 } });
+            fetchMock.mock('/some/url', failFirst(429));
+
+            return xhr.ajax('/some/url').then((r) => {
+                expect(r.status).to.be(200);
+                expect(fetchMock.calls('/some/url').length).to.be(2);
+            });
+        });
+
+        it('should give up after maxAttempts', () => {
+            fetchMock.mock('/some/url', 502);
+
+            return xhr.ajax('/some/url', { retry: { baseDelay: 0, maxAttempts: 2 } }).then(() => {
+                expect().fail('should be rejected');
+            }, (err) => {
+                expect(err.response.status).to.be(502);
+                expect(fetchMock.calls('/some/url').length).to.be(2);
+            });
+        });
+
+        it('should not retry non-idempotent methods by default', () => {
+            fetchMock.mock('/some/url', failFirst(503));
+
+            return xhr.ajax('/some/url', { method: 'POST', retry: { baseDelay: 0 } }).then(() => {
+                expect().fail('should be rejected');
+            }, (err) => {
+                expect(err.response.status).to.be(503);
+                expect(fetchMock.calls('/some/url').length).to.be(1);
+            });
+        });
+
+        it('should retry non-idempotent methods if allowed by policy', () => {
+            fetchMock.mock('/some/url', failFirst(503));
+
+            return xhr.ajax('/some/url', { method: 'POST', retry: { baseDelay: 0, methods: ['POST'] } }).then((r) => {
+                expect(r.status).to.be(200);
+            });
+        });
+
+        it('should not retry other errors', () => {
+            fetchMock.mock('/some/url', failFirst(500));
+
+            return xhr.ajax('/some/url', { retry: { baseDelay: 0 } }).then(() => {
+                expect().fail('should be rejected');
+            }, (err) => {
+                expect(err.response.status).to.be(500);
+            });
+        });
+
+        it('should retry network failures', () => {
+            fetchMock.mock('/some/url', (url) => {
+                if (fetchMock.calls(url).length === 1) {
+                    return { throws: new TypeError('Network request failed') };
+                }
+
+                return 200;
+            });
+
+            return xhr.ajax('/some/url', { retry: { baseDelay: 0 } }).then((r) => {
+                expect(r.status).to.be(200);
+            });
+        });
+    });
+
+    describe('xhr.ajax cancellation', () => {
+        it('should reject immediately if signal already aborted', () => {
+            fetchMock.mock('/some/url', 200);
+            const controller = createAbortController();
+            controller.abort();
+
+            return xhr.ajax('/some/url', { signal: controller.signal }).then(() => {
+                expect().fail('should be rejected');
+            }, (err) => {
+                expect(err).to.be.a(CancelledError);
+                expect(fetchMock.calls('/some/url').length).to.be(0);
+            });
+        });
+
+        it('should reject in-flight request when aborted', () => {
+            fetchMock.mock('/some/url', () => new Promise(() => {}));
+            const controller = createAbortController();
+
+            const promise = xhr.ajax('/some/url', { signal: controller.signal });
+            controller.abort();
+
+            return promise.then(() => {
+                expect().fail('should be rejected');
+            }, (err) => {
+                expect(isCancelledError(err)).to.be(true);
+            });
+        });
+
+        it('should stop polling when aborted', () => {
+            const controller = createAbortController();
+            fetchMock.mock('/some/url', (url) => {
+                if (fetchMock.calls(url).length === 2) {
+                    controller.abort();
+                }
+
+                return 202;
+            });
+
+            return xhr.ajax('/some/url', { pollDelay: 0, signal: controller.signal }).then(() => {
+                expect().fail('should be rejected');
+            }, (err) => {
+                expect(isCancelledError(err)).to.be(true);
+                expect(fetchMock.calls('/some/url').length).to.be(2);
+                expect(controller.signal.listenerCount()).to.be(0);
+            });
+        });
+
+        it('should stop waiting for retry when aborted', () => {
+            const controller = createAbortController();
+            fetchMock.mock('/some/url', 503);
+
+            const promise = xhr.ajax('/some/url', {
+                signal: controller.signal,
+                retry: { baseDelay: 10000, jitter: false }
+            });
+            setTimeout(() => controller.abort(), 0);
+
+            return promise.then(() => {
+                expect().fail('should be rejected');
+            }, (err) => {
+                expect(isCancelledError(err)).to.be(true);
+                expect(fetchMock.calls('/some/url').length).to.be(1);
+            });
+        });
+
+        it('should cancel pending polling delay', () => {
+            const clock = sinon.useFakeTimers();
+            const controller = createAbortController();
+            const handleRequest = sinon.stub().returns(Promise.resolve());
+
+            const promise = xhr.handlePolling('/some/url', { pollDelay: 1000, signal: controller.signal }, handleRequest);
+            controller.abort();
+            clock.tick(1000);
+            clock.restore();
+
+            expect(handleRequest.called).to.be(false);
+
+            return promise.then(() => {
+                expect().fail('should be rejected');
+            }, (err) => {
+                expect(isCancelledError(err)).to.be(true);
+            });
+        });
+    });
+
+    describe('xhr interceptors', () => {
+        let unregister = [];
+
+        afterEach(() => {
+            unregister.forEach(fn => fn());
+            unregister = [];
+        });
+
+        it('should allow request interceptor to rewrite url and settings', () => {
+            fetchMock.mock('/rewritten/url', 200);
+            unregister.push(xhr.addRequestInterceptor((url, settings) => ({
+                url: url.replace('/some', '/rewritten'),
+                settings: { ...settings, headers: { ...settings.headers, 'X-Custom': 'foo' } }
+            })));
+
+            return xhr.ajax('/some/url').then((r) => {
+                expect(r.status).to.be(200);
+                const [, settings] = fetchMock.lastCall('/rewritten/url');
+                expect(settings.headers['X-Custom']).to.be('foo');
+            });
+        });
+
+        it('should keep request unchanged if interceptor returns nothing', () => {
+            fetchMock.mock('/some/url', 200);
+            const interceptor = sinon.spy();
+            unregister.push(xhr.addRequestInterceptor(interceptor));
+
+            return xhr.ajax('/some/url').then(() => {
+                expect(interceptor.calledOnce).to.be(true);
+                expect(fetchMock.calls('/some/url').length).to.be(1);
+            });
+        });
+
+        it('should support async request interceptors in registration order', () => {
+            fetchMock.mock('/some/url/1/2', 200);
+            unregister.push(xhr.addRequestInterceptor((url, settings) =>
+                Promise.resolve({ url: `${url}/1`, settings })
+            ));
+            unregister.push(xhr.addRequestInterceptor((url, settings) => ({ url: `${url}/2`, settings })));
+
+            return xhr.ajax('/some/url').then((r) => {
+                expect(r.status).to.be(200);
+            });
+        });
+
+        it('should allow response interceptor to replace response', () => {
+            fetchMock.mock('/some/url', 500);
+            unregister.push(xhr.addResponseInterceptor((response, { settings }) => {
+                expect(settings.method).to.be('GET');
+                if (response.status === 500) {
+                    return new Response('fallback', { status: 200 });
+                }
+
+                return undefined;
+            }));
+
+            return xhr.ajax('/some/url', { method: 'GET' }).then(r => r.text()).then((text) => {
+                expect(text).to.be('fallback');
+            });
+        });
+
+        it('should intercept every polling response', () => {
+            const interceptor = sinon.spy();
+            fetchMock.mock('/some/url', (url) => {
+                if (fetchMock.calls(url).length <= 2) {
+                    return 202;
+                }
+
+                return 200;
+            });
+            unregister.push(xhr.addResponseInterceptor(interceptor));
+
+            return xhr.ajax('/some/url', { pollDelay: 0 }).then(() => {
+                expect(interceptor.callCount).to.be(3);
+            });
+        });
+
+        it('should notify error interceptors once and propagate the error', () => {
+            const interceptor = sinon.spy();
+            fetchMock.mock('/some/url', (url) => {
+                if (fetchMock.calls(url).length === 1) {
+                    return 202;
+                }
+
+                return 404;
+            });
+            unregister.push(xhr.addErrorInterceptor(interceptor));
+            unregister.push(xhr.addErrorInterceptor(() => {
+                throw new Error('Should be ignored');
+            }));
+
+            return xhr.ajax('/some/url', { pollDelay: 0 }).then(() => {
+                expect().fail('should be rejected');
+            }, (err) => {
+                expect(err.response.status).to.be(404);
+                expect(interceptor.calledOnce).to.be(true);
+                expect(interceptor.firstCall.args[0]).to.be(err);
+                expect(interceptor.firstCall.args[1].url).to.be('/some/url');
+            });
+        });
+
+        it('should stop calling unregistered interceptor', () => {
+            fetchMock.mock('/some/url', 200);
+            const interceptor = sinon.spy();
+            const remove = xhr.addRequestInterceptor(interceptor);
+            remove();
+
+            return xhr.ajax('/some/url').then(() => {
+                expect(interceptor.called).to.be(false);
+            });
+        });
+    });
+
+    describe('xhr.ajax concurrency limit', () => {
+        function createDeferredFetch() {
+            const requests = [];
+            const deferredFetch = (url) => {
+                const request = { url };
+                requests.push(request);
+                return new Promise((resolve) => {
+                    request.respond = (status = 200) => resolve(new Response('{}', { status }));
+                });
+            };
+
+            return { fetch: deferredFetch, requests };
+        }
+
+        const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+        afterEach(() => {
+            xhr.setGlobalMaxConcurrentRequests(undefined);
+        });
+
+        it('should limit number of requests in flight', () => {
+            const server = createDeferredFetch();
+            const instance = xhr.createModule({ fetch: server.fetch });
+            instance.ajaxSetup({ maxConcurrentRequests: 2 });
+
+            const results = ['/a', '/b', '/c'].map(url => instance.ajax(url));
+
+            expect(server.requests.map(r => r.url)).to.eql(['/a', '/b']);
+            server.requests[0].respond();
+
+            return results[0].then(() => {
+                expect(server.requests.map(r => r.url)).to.eql(['/a', '/b', '/c']);
+                server.requests[1].respond();
+                server.requests[2].respond();
+                return Promise.all(results);
+            });
+        });
+
+        it('should send waiting requests by priority', () => {
+            const server = createDeferredFetch();
+            const instance = xhr.createModule({ fetch: server.fetch });
+            instance.ajaxSetup({ maxConcurrentRequests: 1 });
+
+            const results = [
+                instance.ajax('/first'),
+                instance.ajax('/low', { priority: -1 }),
+                instance.ajax('/high', { priority: 1 })
+            ];
+
+            server.requests[0].respond();
+
+            return results[0].then(() => {
+                expect(server.requests.map(r => r.url)).to.eql(['/first', '/high']);
+                server.requests[1].respond();
+                return results[2];
+            }).then(() => {
+                expect(server.requests.map(r => r.url)).to.eql(['/first', '/high', '/low']);
+                server.requests[2].respond();
+                return results[1];
+            });
+        });
+
+        it('should limit requests across instances by global limit', () => {
+            const serverA = createDeferredFetch();
+            const serverB = createDeferredFetch();
+            const instanceA = xhr.createModule({ fetch: serverA.fetch });
+            const instanceB = xhr.createModule({ fetch: serverB.fetch });
+            xhr.setGlobalMaxConcurrentRequests(1);
+
+            const resultA = instanceA.ajax('/a');
+            const resultB = instanceB.ajax('/b');
+
+            expect(serverA.requests.length).to.be(1);
+            expect(serverB.requests.length).to.be(0);
+            serverA.requests[0].respond();
+
+            return resultA.then(() => {
+                expect(serverB.requests.length).to.be(1);
+                serverB.requests[0].respond();
+                return resultB;
+            });
+        });
+
+        it('should send token request before waiting requests', () => {
+            const server = createDeferredFetch();
+            const instance = xhr.createModule({ fetch: server.fetch });
+            instance.ajaxSetup({ maxConcurrentRequests: 1 });
+
+            const results = ['/unauthorized', '/a', '/b'].map(url => instance.ajax(url));
+            server.requests[0].respond(401);
+
+            const respond = (index) => {
+                server.requests[index].respond();
+                return flush();
+            };
+
+            return flush()
+                .then(() => {
+                    expect(server.requests.map(r => r.url)).to.eql(['/unauthorized', '/a']);
+                    return respond(1);
+                })
+                .then(() => {
+                    // token request overtakes '/b' waiting in the queue
+                    expect(server.requests.map(r => r.url)).to.eql(['/unauthorized', '/a', '/gdc/account/token']);
+                    return respond(2);
+                })
+                .then(() => respond(3))
+                .then(() => respond(4))
+                .then(() => Promise.all(results))
+                .then(() => {
+                    expect(server.requests.map(r => r.url)).to.eql([
+                        '/unauthorized', '/a', '/gdc/account/token', '/b', '/unauthorized'
+                    ]);
+                });
+        });
+
+        it('should reject cancelled request waiting in the queue', () => {
+            const server = createDeferredFetch();
+            const instance = xhr.createModule({ fetch: server.fetch });
+            const controller = createAbortController();
+            instance.ajaxSetup({ maxConcurrentRequests: 1 });
+
+            const first = instance.ajax('/first');
+            const cancelled = instance.ajax('/cancelled', { signal: controller.signal });
+            controller.abort();
+            server.requests[0].respond();
+
+            return first.then(() => cancelled).then(() => {
+                throw new Error('should be cancelled');
+            }, (err) => {
+                expect(err).to.be.a(CancelledError);
+                expect(server.requests.map(r => r.url)).to.eql(['/first']);
+            });
+        });
+    });
+
+    describe('xhr.ajax cache', () => {
+        const ETAG = '"v1"';
+        let requestCount;
+        let conditionalRequests;
+
+        function mockObject(headers = { ETag: ETAG }) {
+            fetchMock.mock('/gdc/md/obj/1', 'GET', (url, opts) => {
+                requestCount += 1;
+
+                if (opts.headers['If-None-Match'] === ETAG) {
+                    conditionalRequests += 1;
+                    return { status: 304 };
+                }
+
+                return { status: 200, body: JSON.stringify({ obj: 1 }), headers };
+            });
+        }
+
+        beforeEach(() => {
+            requestCount = 0;
+            conditionalRequests = 0;
+        });
+
+        afterEach(() => {
+            xhr.ajaxSetup({ cache: undefined, cacheTtl: undefined, cacheStorage: undefined });
+            xhr.clearCache();
+        });
+
+        it('should not cache by default', () => {
+            mockObject();
+
+            return xhr.get('/gdc/md/obj/1')
+                .then(() => xhr.get('/gdc/md/obj/1'))
+                .then(() => {
+                    expect(requestCount).to.be(2);
+                    expect(conditionalRequests).to.be(0);
+                });
+        });
+
+        it('should revalidate cached response and serve it on 304', () => {
+            mockObject();
+            xhr.ajaxSetup({ cache: true });
+
+            return xhr.get('/gdc/md/obj/1')
+                .then(() => xhr.ajax('/gdc/md/obj/1'))
+                .then((response) => {
+                    expect(conditionalRequests).to.be(1);
+                    expect(response.status).to.be(200);
+                    return response.json();
+                })
+                .then((result) => {
+                    expect(result).to.eql({ obj: 1 });
+                });
+        });
+
+        it('should serve fresh response without request', () => {
+            mockObject({});
+            xhr.ajaxSetup({ cache: true, cacheTtl: 60000 });
+
+            return xhr.get('/gdc/md/obj/1')
+                .then(() => xhr.get('/gdc/md/obj/1'))
+                .then((result) => {
+                    expect(requestCount).to.be(1);
+                    expect(result).to.eql({ obj: 1 });
+                });
+        });
+
+        it('should allow to opt out per request', () => {
+            mockObject();
+            xhr.ajaxSetup({ cache: true });
+
+            return xhr.get('/gdc/md/obj/1')
+                .then(() => xhr.get('/gdc/md/obj/1', { cache: false }))
+                .then(() => {
+                    expect(requestCount).to.be(2);
+                    expect(conditionalRequests).to.be(0);
+                });
+        });
+
+        it('should use custom storage', () => {
+            const storage = {
+                entries: {},
+                get(key) {
+                    return Promise.resolve(this.entries[key]);
+                },
+                set(key, entry) {
+                    this.entries[key] = JSON.parse(JSON.stringify(entry));
+                    return Promise.resolve();
+                },
+                delete(key) {
+                    delete this.entries[key];
+                }
+            };
+            mockObject();
+            xhr.ajaxSetup({ cache: true, cacheStorage: storage });
+
+            return xhr.get('/gdc/md/obj/1')
+                .then(() => {
+                    expect(storage.entries['/gdc/md/obj/1'].etag).to.be(ETAG);
+                    return xhr.get('/gdc/md/obj/1');
+                })
+                .then((result) => {
+                    expect(conditionalRequests).to.be(1);
+                    expect(result).to.eql({ obj: 1 });
+                });
+        });
+
+        it('should clear default and configured storage', () => {
+            const storage = {
+                get: () => undefined,
+                set: () => {},
+                delete: () => {},
+                clear: sinon.spy(() => Promise.resolve())
+            };
+            mockObject({});
+            xhr.ajaxSetup({ cache: true, cacheTtl: 60000 });
+
+            return xhr.get('/gdc/md/obj/1')
+                .then(() => {
+                    xhr.ajaxSetup({ cacheStorage: storage });
+                    return xhr.clearCache();
+                })
+                .then(() => {
+                    expect(storage.clear.calledOnce).to.be(true);
+                    xhr.ajaxSetup({ cacheStorage: undefined });
+                    return xhr.get('/gdc/md/obj/1');
+                })
+                .then(() => {
+                    expect(requestCount).to.be(2);
+                });
+        });
+
+        it('should remove cached response after successful non-GET request', () => {
+            mockObject();
+            fetchMock.mock('/gdc/md/obj/1', 'PUT', 200);
+            xhr.ajaxSetup({ cache: true });
+
+            return xhr.get('/gdc/md/obj/1')
+                .then(() => xhr.put('/gdc/md/obj/1', { data: {} }))
+                .then(() => xhr.get('/gdc/md/obj/1'))
+                .then(() => {
+                    expect(requestCount).to.be(2);
+                    expect(conditionalRequests).to.be(0);
+                });
+        });
+    });
+
+    describe('xhr events', () => {
+        let instance;
+        let events;
+
+        function record(...names) {
+            names.forEach(name => instance.on(name, payload => events.push({ name, ...payload })));
+        }
+
+        beforeEach(() => {
+            instance = xhr.createModule({});
+            events = [];
+        });
+
+        it('should emit start and end of request', () => {
+            fetchMock.mock('/some/url', 200);
+            record('request:start', 'request:end');
+
+            return instance.ajax('/some/url', { headers: { 'X-GDC-REQUEST': 'abc' } }).then(() => {
+                expect(events.length).to.be(2);
+                expect(events[0]).to.eql({ name: 'request:start', url: '/some/url', method: 'GET', requestId: 'abc' });
+                expect(events[1].name).to.be('request:end');
+                expect(events[1].status).to.be(200);
+                expect(events[1].requestId).to.be('abc');
+                expect(events[1].duration).to.be.a('number');
+            });
+        });
+
+        it('should emit end of request failed on network level', () => {
+            fetchMock.mock('/some/url', { throws: new TypeError('Network failure') });
+            record('request:end');
+
+            return instance.ajax('/some/url').then(null, () => {
+                expect(events.length).to.be(1);
+                expect(events[0].error).to.be.a(TypeError);
+                expect(events[0].status).to.be(undefined);
+            });
+        });
+
+        it('should emit token refresh', () => {
+            let unauthorized = true;
+            fetchMock.mock('/some/url', () => {
+                const status = unauthorized ? 401 : 200;
+                unauthorized = false;
+                return status;
+            });
+            fetchMock.mock('/gdc/account/token', 200);
+            record('token:refresh', 'request:start');
+
+            return instance.ajax('/some/url').then(() => {
+                const tokenRefreshes = events.filter(e => e.name === 'token:refresh');
+                expect(tokenRefreshes.length).to.be(1);
+                expect(tokenRefreshes[0].url).to.be('/gdc/account/token');
+                expect(tokenRefreshes[0].status).to.be(200);
+                expect(events.filter(e => e.name === 'request:start').map(e => e.url)).to.eql([
+                    '/some/url', '/gdc/account/token', '/some/url'
+                ]);
+            });
+        });
+
+        it('should emit polling attempts', () => {
+            let polls = 0;
+            fetchMock.mock('/some/url', () => {
+                polls += 1;
+                return polls < 3 ? 202 : 200;
+            });
+            record('poll:attempt');
+
+            return instance.ajax('/some/url', { pollDelay: 0 }).then(() => {
+                expect(events.map(e => e.attempt)).to.eql([1, 2]);
+                expect(events[0].url).to.be('/some/url');
+                expect(events[0].elapsed).to.be.a('number');
+            });
+        });
+
+        it('should emit error of failed request', () => {
+            fetchMock.mock('/some/url', 404);
+            record('error');
+
+            return instance.ajax('/some/url', { method: 'post' }).then(null, (err) => {
+                expect(events.length).to.be(1);
+                expect(events[0].method).to.be('POST');
+                expect(events[0].status).to.be(404);
+                expect(events[0].error).to.be(err);
+            });
+        });
+
+        it('should not emit events to unregistered listener', () => {
+            fetchMock.mock('/some/url', 200);
+            const listener = sinon.spy();
+            const unregister = instance.on('request:start', listener);
+            unregister();
+
+            return instance.ajax('/some/url').then(() => {
+                expect(listener.called).to.be(false);
+            });
         });
     });
 
-    describe('xhr.ajax unauthorized handling', () => {
-        it('should renew token when TT expires', () => {
-            fetchMock.mock('/some/url', (url) => {
-                // for the first time return 401 - simulate no token
-                if (fetchMock.calls(url).length === 1) {
-                    return 401;
-                }
+    describe('xhr tokens', () => {
+        let instance;
 
-                return 200;
-            })
-            .mock('/gdc/account/token', 200);
-            return xhr.ajax('/some/url').then((r) => {
-                expect(r.status).to.be(200);
+        const lastHeaders = path => fetchMock.lastCall(path)[1].headers;
+
+        beforeEach(() => {
+            instance = xhr.createModule({});
+        });
+
+        it('should not send token headers in cookie mode', () => {
+            fetchMock.mock('/some/url', 200);
+            instance.tokens.setTemporaryToken('tt');
+
+            return instance.ajax('/some/url').then(() => {
+                expect(lastHeaders('/some/url')['X-GDC-AuthTT']).to.be(undefined);
             });
         });
 
-        it('should fail if token renewal fails', () => {
-            fetchMock.mock('/some/url', 401)
-                     .mock('/gdc/account/token', 401);
-            return xhr.ajax('/some/url').then(null, (err) => {
-                expect(err.response.status).to.be(401);
+        it('should send TT in header mode', () => {
+            fetchMock.mock('/some/url', 200);
+            instance.tokens.setMode('header');
+            instance.tokens.setTemporaryToken('tt');
+
+            return instance.ajax('/some/url').then(() => {
+                expect(lastHeaders('/some/url')['X-GDC-AuthTT']).to.be('tt');
             });
         });
 
-        it('should correctly handle multiple requests with token request in progress', () => {
-            const firstFailedMatcher = () => {
-                if (fetchMock.calls('/some/url/1').length === 1) {
-                    return 401;
-                }
+        it('should exchange SST for TT and retry request with new TT', () => {
+            fetchMock.mock('/some/url', (url, opts) => (opts.headers['X-GDC-AuthTT'] === 'new-tt' ? 200 : 401));
+            fetchMock.mock('/gdc/account/token', (url, opts) => {
+                expect(opts.headers['X-GDC-AuthSST']).to.be('sst');
+                expect(opts.headers['X-GDC-AuthTT']).to.be(undefined);
+                return { status: 200, body: JSON.stringify({ userToken: { token: 'new-tt' } }) };
+            });
+            instance.tokens.setMode('header');
+            instance.tokens.setSuperSecuredToken('sst');
+            instance.tokens.setTemporaryToken('expired-tt');
 
-                return 200;
-            };
+            return instance.ajax('/some/url').then((response) => {
+                expect(response.status).to.be(200);
+                expect(instance.tokens.getTemporaryToken()).to.be('new-tt');
+            });
+        });
 
-            fetchMock.mock('/some/url/1', firstFailedMatcher)
-                     .mock('/some/url/2', firstFailedMatcher)
-                     .mock('/gdc/account/token', 200);
+        it('should refresh TT explicitly', () => {
+            fetchMock.mock('/gdc/account/token', { status: 200, body: JSON.stringify({ userToken: { token: 'tt' } }) });
+            instance.tokens.setMode('header');
+            instance.tokens.setSuperSecuredToken('sst');
 
-            return Promise.all([xhr.ajax('/some/url/1'), xhr.ajax('/some/url/2')]).then((r) => {
-                expect(r[0].status).to.be(200);
-                expect(r[1].status).to.be(200);
+            return instance.refreshTemporaryToken().then((token) => {
+                expect(token).to.be('tt');
+                expect(lastHeaders('/gdc/account/token')['X-GDC-AuthSST']).to.be('sst');
+            });
+        });
+
+        it('should announce expired SST', () => {
+            fetchMock.mock('/some/url', 401);
+            fetchMock.mock('/gdc/account/token', 401);
+            const listener = sinon.spy();
+            instance.on('sst:expired', listener);
+            instance.tokens.setMode('header');
+            instance.tokens.setSuperSecuredToken('expired-sst');
+
+            return instance.ajax('/some/url').then(() => {
+                throw new Error('should fail');
+            }, (err) => {
+                expect(err).to.be.an(UnauthorizedError);
+                expect(listener.calledOnce).to.be(true);
+                expect(listener.firstCall.args[0].url).to.be('/gdc/account/token');
+            });
+        });
+
+        it('should reject explicit refresh with expired SST', () => {
+            fetchMock.mock('/gdc/account/token', 401);
+
+            return instance.refreshTemporaryToken().then(() => {
+                throw new Error('should fail');
+            }, (err) => {
+                expect(err).to.be.an(UnauthorizedError);
+            });
+        });
+    });
+
+    describe('xhr.ajax session expiration', () => {
+        let instance;
+        let loggedIn;
+
+        beforeEach(() => {
+            instance = xhr.createModule({});
+            loggedIn = false;
+            fetchMock.mock('/a', () => (loggedIn ? 200 : 401));
+            fetchMock.mock('/b', () => (loggedIn ? 200 : 401));
+            fetchMock.mock('/gdc/account/token', () => (loggedIn ? 200 : 401));
+        });
+
+        it('should call handler once and retry waiting requests', () => {
+            const onSessionExpired = sinon.spy((error) => {
+                expect(error).to.be.an(UnauthorizedError);
+                loggedIn = true;
+                return Promise.resolve();
+            });
+            instance.ajaxSetup({ onSessionExpired });
+
+            return Promise.all([instance.ajax('/a'), instance.ajax('/b')]).then((responses) => {
+                expect(responses.map(r => r.status)).to.eql([200, 200]);
+                expect(onSessionExpired.calledOnce).to.be(true);
+            });
+        });
+
+        it('should reject waiting requests when handler declines', () => {
+            const onSessionExpired = sinon.spy(() => false);
+            instance.ajaxSetup({ onSessionExpired });
+
+            return Promise.all([
+                instance.ajax('/a').then(null, err => err),
+                instance.ajax('/b').then(null, err => err)
+            ]).then((errors) => {
+                expect(errors[0]).to.be.an(UnauthorizedError);
+                expect(errors[1]).to.be.an(UnauthorizedError);
+                expect(onSessionExpired.calledOnce).to.be(true);
+            });
+        });
+
+        it('should reject waiting requests with reason of failed handler', () => {
+            const reason = new Error('Login failed');
+            instance.ajaxSetup({ onSessionExpired: () => Promise.reject(reason) });
+
+            return instance.ajax('/a').then(() => {
+                throw new Error('should fail');
+            }, (err) => {
+                expect(err).to.be(reason);
+            });
+        });
+
+        it('should retry request after handler logs in again', () => {
+            const sdkUser = user.createModule(instance);
+            fetchMock.mock('/gdc/account/login', 'POST', () => {
+                loggedIn = true;
+                return { status: 200, body: JSON.stringify({ userLogin: { profile: '/gdc/account/profile/john' } }) };
+            });
+            instance.ajaxSetup({ onSessionExpired: () => sdkUser.login('john', 'secret') });
+
+            return instance.ajax('/a').then((response) => {
+                expect(response.status).to.be(200);
+                expect(fetchMock.calls('/a')).to.have.length(2);
+            });
+        });
+
+        it('should retry requests after handler logs in again in header mode', () => {
+            const sdkUser = user.createModule(instance);
+            fetchMock.restore();
+            fetchMock.mock('/a', () => (loggedIn ? 200 : 401));
+            fetchMock.mock('/b', () => (loggedIn ? 200 : 401));
+            fetchMock.mock('/gdc/account/token', () => (
+                loggedIn ? { status: 200, body: JSON.stringify({ userToken: { token: 'tt' } }) } : 401
+            ));
+            fetchMock.mock('/gdc/account/login', 'POST', () => {
+                loggedIn = true;
+                return {
+                    status: 200,
+                    body: JSON.stringify({ userLogin: { profile: '/gdc/account/profile/john', token: 'sst' } })
+                };
+            });
+            instance.ajaxSetup({
+                onSessionExpired: () => sdkUser.login('john', 'secret', { tokenMode: 'header' })
+            });
+
+            return Promise.all([instance.ajax('/a'), instance.ajax('/b')]).then((responses) => {
+                expect(responses.map(r => r.status)).to.eql([200, 200]);
+                expect(fetchMock.calls('/gdc/account/login')).to.have.length(1);
+                expect(fetchMock.lastOptions('/a').headers['X-GDC-AuthTT']).to.be('tt');
+            });
+        });
+
+        it('should not call handler again for retried request', () => {
+            const onSessionExpired = sinon.spy(() => Promise.resolve());
+            instance.ajaxSetup({ onSessionExpired });
+
+            return instance.ajax('/a').then(() => {
+                throw new Error('should fail');
+            }, (err) => {
+                expect(err).to.be.an(UnauthorizedError);
+                expect(onSessionExpired.calledOnce).to.be(true);
             });
         });
     });
@@ -155,6 +1291,87 @@ describe('fetch', () => {
         });
     });
 
+    describe('xhr.ajax polling strategy', () => {
+        const alwaysPending = () => fetchMock.mock('/some/url', 202);
+
+        it('should reject with TimeoutError after max attempts', () => {
+            alwaysPending();
+
+            return xhr.ajax('/some/url', { pollDelay: 0, pollMaxAttempts: 2 }).then(() => {
+                expect().fail('should be rejected');
+            }, (err) => {
+                expect(err).to.be.a(TimeoutError);
+                expect(err.attempts).to.be(2);
+                expect(err.url).to.be('/some/url');
+                expect(fetchMock.calls('/some/url').length).to.be(3);
+            });
+        });
+
+        it('should reject with TimeoutError after max duration', () => {
+            alwaysPending();
+
+            return xhr.ajax('/some/url', { pollDelay: 5, pollTimeout: 20 }).then(() => {
+                expect().fail('should be rejected');
+            }, (err) => {
+                expect(err).to.be.a(TimeoutError);
+                expect(err.elapsed).to.be.greaterThan(19);
+            });
+        });
+
+        it('should report progress with onPoll', () => {
+            const onPoll = sinon.spy();
+            fetchMock.mock('/some/url', (url) => {
+                if (fetchMock.calls(url).length <= 2) {
+                    return 202;
+                }
+
+                return 200;
+            });
+
+            return xhr.ajax('/some/url', { pollDelay: 0, onPoll }).then(() => {
+                expect(onPoll.callCount).to.be(2);
+                expect(onPoll.firstCall.args[0].attempt).to.be(1);
+                expect(onPoll.secondCall.args[0].attempt).to.be(2);
+                expect(onPoll.secondCall.args[0].url).to.be('/some/url');
+                expect(onPoll.secondCall.args[0].elapsed).to.be.a('number');
+            });
+        });
+
+        it('should count attempts across redirects', () => {
+            const onPoll = sinon.spy();
+            fetchMock.mock('/some/url', { status: 202, headers: { Location: '/other/url' } });
+            fetchMock.mock('/other/url', { status: 202, headers: { Location: '/last/url' } });
+            fetchMock.mock('/last/url', 200);
+
+            return xhr.ajax('/some/url', { pollDelay: 0, onPoll }).then(() => {
+                expect(onPoll.lastCall.args[0]).to.have.property('attempt', 2);
+                expect(onPoll.lastCall.args[0]).to.have.property('url', '/last/url');
+            });
+        });
+
+        it('should back off polling delay', () => {
+            const clock = sinon.useFakeTimers();
+            const handleRequest = sinon.stub().returns(Promise.resolve());
+
+            const promise = xhr.handlePolling('/some/url', {
+                pollDelay: 100,
+                pollBackoff: 'exponential',
+                pollAttempt: 2,
+                pollStart: Date.now()
+            }, handleRequest);
+
+            clock.tick(399);
+            expect(handleRequest.called).to.be(false);
+            clock.tick(1);
+            expect(handleRequest.calledOnce).to.be(true);
+            expect(handleRequest.firstCall.args[1].pollAttempt).to.be(3);
+
+            clock.restore();
+
+            return promise;
+        });
+    });
+
     describe('xhr.ajax polling with different location', () => {
         it('should retry request after delay', () => {
             fetchMock.mock('/some/url', { status: 202, headers: { Location: '/other/url' } });
@@ -244,6 +1461,143 @@ describe('fetch', () => {
         });
     });
 
+    describe('xhr.download', () => {
+        const readText = content => (
+            Buffer.isBuffer(content) ? Promise.resolve(content.toString()) : new Response(content).text()
+        );
+
+        it('should accept any content type and poll for the file', () => {
+            fetchMock.mock('/export', (url) => {
+                if (fetchMock.calls(url).length <= 1) {
+                    return 202;
+                }
+
+                return { status: 200, body: '%PDF' };
+            });
+
+            return xhr.download('/export', { pollDelay: 0 }).then((response) => {
+                expect(fetchMock.calls('/export').length).to.be(2);
+                expect(fetchMock.lastOptions().headers.Accept).to.be('*/*');
+
+                return response.text();
+            }).then((text) => {
+                expect(text).to.be('%PDF');
+            });
+        });
+
+        it('should read file into blob and report progress', () => {
+            const onDownloadProgress = sinon.spy();
+            fetchMock.mock('/export', { status: 200, body: 'a,b\n', headers: { 'Content-Length': '4' } });
+
+            return xhr.getBlob('/export', { onDownloadProgress }).then((blob) => {
+                expect(onDownloadProgress.lastCall.args).to.eql([{ loaded: 4, total: 4 }]);
+
+                return readText(blob);
+            }).then((text) => {
+                expect(text).to.be('a,b\n');
+            });
+        });
+
+        it('should not cache files', () => {
+            fetchMock.mock('/export', { status: 200, body: 'file' });
+
+            return xhr.getBlob('/export', { cache: true })
+                .then(() => xhr.getBlob('/export', { cache: true }))
+                .then(() => {
+                    expect(fetchMock.calls('/export').length).to.be(2);
+                });
+        });
+
+        it('should reject failed download', () => {
+            fetchMock.mock('/export', 404);
+
+            return xhr.getBlob('/export').then(() => {
+                expect().fail('Should reject');
+            }, (err) => {
+                expect(err).to.be.a(NotFoundError);
+            });
+        });
+    });
+
+    describe('xhr.get deduplication', () => {
+        let requestCount;
+
+        beforeEach(() => {
+            requestCount = 0;
+            fetchMock.mock('/gdc/md/obj/1', () => {
+                requestCount += 1;
+                return { status: 200, body: JSON.stringify({ obj: requestCount }) };
+            });
+        });
+
+        afterEach(() => {
+            xhr.ajaxSetup({ dedupe: undefined });
+        });
+
+        it('should send every request without dedupe', () => {
+            return Promise.all([xhr.get('/gdc/md/obj/1'), xhr.get('/gdc/md/obj/1')]).then((results) => {
+                expect(requestCount).to.be(2);
+                expect(results[0]).to.not.be(results[1]);
+            });
+        });
+
+        it('should share concurrent identical requests', () => {
+            return Promise.all([
+                xhr.get('/gdc/md/obj/1', { dedupe: true }),
+                xhr.get('/gdc/md/obj/1', { dedupe: true })
+            ]).then((results) => {
+                expect(requestCount).to.be(1);
+                expect(results[0]).to.be(results[1]);
+                expect(results[0]).to.eql({ obj: 1 });
+            });
+        });
+
+        it('should dedupe requests when enabled globally', () => {
+            xhr.ajaxSetup({ dedupe: true });
+
+            return Promise.all([xhr.get('/gdc/md/obj/1'), xhr.get('/gdc/md/obj/1')]).then(() => {
+                expect(requestCount).to.be(1);
+            });
+        });
+
+        it('should not share requests with different headers', () => {
+            xhr.ajaxSetup({ dedupe: true });
+
+            return Promise.all([
+                xhr.get('/gdc/md/obj/1', { headers: { 'X-Custom': 'a' } }),
+                xhr.get('/gdc/md/obj/1', { headers: { 'X-Custom': 'b' } })
+            ]).then(() => {
+                expect(requestCount).to.be(2);
+            });
+        });
+
+        it('should send new request after previous one is finished', () => {
+            xhr.ajaxSetup({ dedupe: true });
+
+            return xhr.get('/gdc/md/obj/1')
+                .then(() => xhr.get('/gdc/md/obj/1'))
+                .then((result) => {
+                    expect(requestCount).to.be(2);
+                    expect(result).to.eql({ obj: 2 });
+                });
+        });
+
+        it('should reject only cancelled caller', () => {
+            const controller = createAbortController();
+            xhr.ajaxSetup({ dedupe: true });
+
+            const cancelled = xhr.get('/gdc/md/obj/1', { signal: controller.signal });
+            const shared = xhr.get('/gdc/md/obj/1');
+            controller.abort();
+
+            return Promise.all([cancelled.then(null, err => err), shared]).then(([err, result]) => {
+                expect(err).to.be.a(CancelledError);
+                expect(result).to.eql({ obj: 1 });
+                expect(requestCount).to.be(1);
+            });
+        });
+    });
+
     describe('enrichSettingWithCustomDomain', () => {
         after(() => {
             setCustomDomain(null);